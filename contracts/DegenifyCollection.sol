@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
+}
+
+// The Degenify collection: an ERC-721 where anyone can mint a degeneration to
+// themselves. A token's URI is the image's /api/nft/:id metadata URL, and each
+// URI can only be minted once, so every image is a 1 of 1. Kept free of
+// imports so it builds with a bare solc.
+contract DegenifyCollection {
+    string public name;
+    string public symbol;
+    uint256 public totalSupply;
+
+    mapping(uint256 => address) private _owners;
+    mapping(address => uint256) private _balances;
+    mapping(uint256 => address) private _tokenApprovals;
+    mapping(address => mapping(address => bool)) private _operatorApprovals;
+    mapping(uint256 => string) private _tokenURIs;
+    // keccak256(uri) => token id (0 while unminted)
+    mapping(bytes32 => uint256) public tokenByUri;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    constructor(string memory name_, string memory symbol_) {
+        name = name_;
+        symbol = symbol_;
+    }
+
+    function mint(string calldata uri) external returns (uint256 tokenId) {
+        require(bytes(uri).length > 0, "Empty URI");
+        bytes32 key = keccak256(bytes(uri));
+        require(tokenByUri[key] == 0, "Already minted");
+        tokenId = ++totalSupply;
+        tokenByUri[key] = tokenId;
+        _tokenURIs[tokenId] = uri;
+        _owners[tokenId] = msg.sender;
+        _balances[msg.sender] += 1;
+        emit Transfer(address(0), msg.sender, tokenId);
+    }
+
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        ownerOf(tokenId);
+        return _tokenURIs[tokenId];
+    }
+
+    // ERC-165, ERC-721 and ERC-721 metadata
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0x80ac58cd || interfaceId == 0x5b5e139f;
+    }
+
+    function balanceOf(address owner) external view returns (uint256) {
+        require(owner != address(0), "Zero address");
+        return _balances[owner];
+    }
+
+    function ownerOf(uint256 tokenId) public view returns (address owner) {
+        owner = _owners[tokenId];
+        require(owner != address(0), "Unknown token");
+    }
+
+    function approve(address to, uint256 tokenId) external {
+        address owner = ownerOf(tokenId);
+        require(msg.sender == owner || _operatorApprovals[owner][msg.sender], "Not allowed");
+        _tokenApprovals[tokenId] = to;
+        emit Approval(owner, to, tokenId);
+    }
+
+    function getApproved(uint256 tokenId) external view returns (address) {
+        ownerOf(tokenId);
+        return _tokenApprovals[tokenId];
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        _operatorApprovals[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function isApprovedForAll(address owner, address operator) external view returns (bool) {
+        return _operatorApprovals[owner][operator];
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        address owner = ownerOf(tokenId);
+        require(owner == from, "Wrong owner");
+        require(to != address(0), "Zero address");
+        require(
+            msg.sender == owner || _tokenApprovals[tokenId] == msg.sender || _operatorApprovals[owner][msg.sender],
+            "Not allowed"
+        );
+        delete _tokenApprovals[tokenId];
+        _balances[from] -= 1;
+        _balances[to] += 1;
+        _owners[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            require(
+                IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data) == IERC721Receiver.onERC721Received.selector,
+                "Unsafe recipient"
+            );
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import sharp from 'sharp';
+
+const run = promisify(execFile);
+
+// Animation mode: a short loop generated frame by frame, each frame from the
+// one before it so the character and scene stay the same while only the
+// motion moves on. The frames become an animated GIF (sharp) and, when ffmpeg
+// is installed, an MP4 or WebM video for players that prefer video.
+
+export const VIDEO_FORMATS = {
+    mp4: { mimeType: 'video/mp4', extension: 'mp4', args: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'] },
+    webm: { mimeType: 'video/webm', extension: 'webm', args: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-b:v', '0', '-crf', '33'] },
+};
+
+export function createAnimator({ env = process.env } = {}) {
+    const frameCount = parseInt(env.ANIMATION_FRAMES || '4', 10);
+    const frameMs = parseInt(env.ANIMATION_FRAME_MS || '250', 10);
+    const maxSize = parseInt(env.ANIMATION_MAX_SIZE || '768', 10);
+    const ffmpegPath = env.FFMPEG_PATH || 'ffmpeg';
+    const videoFormat = VIDEO_FORMATS[(env.ANIMATION_VIDEO_FORMAT || 'mp4').toLowerCase()];
+    if (!videoFormat) {
+        throw new Error(`ANIMATION_VIDEO_FORMAT must be one of: ${Object.keys(VIDEO_FORMATS).join(', ')}`);
+    }
+    if (!(frameCount >= 2)) throw new Error('ANIMATION_FRAMES must be at least 2');
+
+    // Checked once at startup; without ffmpeg animations are GIF only
+    const videoSupport = run(ffmpegPath, ['-version'], { timeout: 10000 }).then(() => true, () => false);
+
+    // The prompt for one frame: the preset's prompt plus where the frame sits in the loop
+    function framePrompt(prompt, index) {
+        const step = index === 0
+            ? 'Show the very start of the motion.'
+            : 'The provided image is the previous frame: continue the motion from it by one small step.';
+        const loop = index === frameCount - 1 ? ' End close to where the motion started, so the loop is seamless.' : '';
+        return `${prompt}\n\nThis is frame ${index + 1} of ${frameCount} of a short looping animation of the situation above. ${step} Keep the character, framing, background, lighting and style exactly the same; only the moving parts change.${loop}`;
+    }
+
+    // Generate the frames in order with `generate({ prompt, image })`; onFrame(index) is called before each
+    async function generateFrames(generate, { prompt, image }, onFrame = () => { }) {
+        const frames = [];
+        let input = image;
+        for (let index = 0; index < frameCount; index++) {
+            onFrame(index);
+            const frame = await generate({ prompt: framePrompt(prompt, index), image: input });
+            frames.push(frame);
+            input = frame;
+        }
+        return frames;
+    }
+
+    // { gif, video } from the generated frames; video is null without ffmpeg or when encoding fails
+    async function assemble(frames) {
+        // Every frame gets the first one's size, so a frame the model framed differently cannot break the loop
+        const first = await sharp(frames[0].data)
+            .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+            .png()
+            .toBuffer({ resolveWithObject: true });
+        const { width, height } = first.info;
+        const pngs = [first.data, ...await Promise.all(frames.slice(1).map(frame =>
+            sharp(frame.data).resize(width, height, { fit: 'cover' }).png().toBuffer()))];
+
+        const gif = await sharp(pngs, { join: { animated: true } })
+            .gif({ delay: pngs.map(() => frameMs), loop: 0 })
+            .toBuffer();
+        return {
+            gif: { data: gif, mimeType: 'image/gif' },
+            video: await videoSupport ? await encodeVideo(pngs) : null,
+        };
+    }
+
+    async function encodeVideo(pngs) {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'degenify-animation-'));
+        try {
+            await Promise.all(pngs.map((png, i) => fs.writeFile(path.join(dir, `frame-${String(i).padStart(3, '0')}.png`), png)));
+            const output = path.join(dir, `loop.${videoFormat.extension}`);
+            await run(ffmpegPath, [
+                '-y', '-loglevel', 'error',
+                '-framerate', String(1000 / frameMs),
+                '-i', path.join(dir, 'frame-%03d.png'),
+                // Most encoders need even dimensions
+                '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+                ...videoFormat.args,
+                '-an', output,
+            ], { timeout: 60000 });
+            return { data: await fs.readFile(output), mimeType: videoFormat.mimeType };
+        } catch (err) {
+            // The GIF is still good on its own
+            console.error('Animation video encoding failed:', err.stderr || err.message);
+            return null;
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    return { frameCount, frameMs, videoFormat, videoSupport, generateFrames, assemble };
+}
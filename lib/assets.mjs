@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import { HttpError } from './errors.mjs';
+
+// Known base images, loaded into memory once at startup. Requests name an
+// asset by id and never by path, so nothing else under public/ can reach the
+// image model. Ids are the file names under `dir` (e.g. base.png).
+export function createAssetRegistry({ dir }) {
+    const assets = new Map();
+
+    // Load and check an image; throws at startup for missing or non-image files
+    function register(id) {
+        if (assets.has(id)) return assets.get(id);
+        if (path.basename(id) !== id) throw new Error(`Base image "${id}" must be a file name in ${dir}`);
+        const file = path.join(dir, id);
+        if (!fs.existsSync(file)) throw new Error(`Base image ${file} not found`);
+        const data = fs.readFileSync(file);
+        const mimeType = sniffImageType(data);
+        if (!mimeType) throw new Error(`Base image ${file} is not a PNG, JPEG, WebP or GIF`);
+        const asset = { id, data, mimeType };
+        assets.set(id, asset);
+        return asset;
+    }
+
+    // The asset for a base image id from a request; throws 400 for unknown ids
+    function resolve(id) {
+        const asset = typeof id === 'string' ? assets.get(id) : null;
+        if (!asset) {
+            throw new HttpError(400, 'Unknown base image', `"${String(id).slice(0, 100)}" is not a known base image. Known base images: ${[...assets.keys()].join(', ')}`);
+        }
+        return asset;
+    }
+
+    return { register, resolve, get: (id) => assets.get(id) || null, ids: () => [...assets.keys()] };
+}
+
+// MIME type from an image's magic bytes, or null when it is none we accept
+export function sniffImageType(data) {
+    if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+    if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (data.length >= 6 && /^GIF8[79]a$/.test(data.toString('ascii', 0, 6))) return 'image/gif';
+    return null;
+}
@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { HttpError } from './errors.mjs';
+
+// Farcaster IdRegistry on Optimism: maps custody addresses to FIDs
+const DEFAULT_ID_REGISTRY = '0x00000000Fc6c5F01Fc30151999387Bb99A9f489b';
+const ID_REGISTRY_ABI = ['function idOf(address owner) view returns (uint256)'];
+// Farcaster KeyRegistry on Optimism: keys an FID has added, including auth addresses
+const DEFAULT_KEY_REGISTRY = '0x00000000Fc1237824fb747aBDE0FF18990E59b7e';
+const KEY_REGISTRY_ABI = ['function keyDataOf(uint256 fid, bytes key) view returns (tuple(uint8 state, uint32 keyType))'];
+const KEY_STATE_ADDED = 1;
+const KEY_TYPE_AUTH_ADDRESS = 2;
+
+// Sign-in with Farcaster / Ethereum. The client signs an EIP-4361 message that
+// carries a server-issued nonce; a valid signature is exchanged for a session
+// token (HMAC-signed, so any instance sharing AUTH_SECRET can check it).
+// Farcaster sign-ins name their FID in a farcaster://fid/<n> resource, which
+// only counts when the signer is that FID's custody address or one of its
+// registered auth addresses.
+export function createAuth({ db, env = process.env }) {
+    const domains = (env.AUTH_DOMAINS || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+    const nonceTtlMs = parseInt(env.AUTH_NONCE_TTL_MS || '300000', 10); // 5 minutes
+    const sessionTtlMs = parseInt(env.AUTH_SESSION_TTL_MS || '3600000', 10); // 1 hour
+    const secret = env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+    if (!env.AUTH_SECRET) {
+        console.warn('⚠️ AUTH_SECRET not set; sessions will not survive a restart or work across instances');
+    }
+
+    // Static network: no chain detection (and no retry loop) when the RPC is down
+    const optimism = new ethers.JsonRpcProvider(
+        env.OPTIMISM_RPC_URL || 'https://mainnet.optimism.io',
+        parseInt(env.OPTIMISM_CHAIN_ID || '10', 10),
+        { staticNetwork: true }
+    );
+    const idRegistry = new ethers.Contract(env.FARCASTER_ID_REGISTRY || DEFAULT_ID_REGISTRY, ID_REGISTRY_ABI, optimism);
+    const keyRegistry = new ethers.Contract(env.FARCASTER_KEY_REGISTRY || DEFAULT_KEY_REGISTRY, KEY_REGISTRY_ABI, optimism);
+
+    async function issueNonce() {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + nonceTtlMs);
+        await db.createAuthNonce(nonce, expiresAt);
+        return { nonce, expiresAt };
+    }
+
+    // Verify a signed sign-in message; returns the session for it
+    async function verifySignIn({ message, signature, host }) {
+        if (typeof message !== 'string' || typeof signature !== 'string') {
+            throw new HttpError(400, 'message and signature required');
+        }
+        const siwe = parseSiweMessage(message);
+        if (!siwe) throw new HttpError(400, 'Invalid sign-in message', 'Expected an EIP-4361 message');
+
+        const allowed = domains.length ? domains : [String(host || '').toLowerCase()];
+        if (!allowed.includes(siwe.domain.toLowerCase())) {
+            throw new HttpError(401, 'Sign-in message is for another domain', `Got ${siwe.domain}`);
+        }
+        const now = Date.now();
+        if (siwe.expirationTime && Date.parse(siwe.expirationTime) <= now) {
+            throw new HttpError(401, 'Sign-in message has expired');
+        }
+        if (siwe.notBefore && Date.parse(siwe.notBefore) > now) {
+            throw new HttpError(401, 'Sign-in message is not valid yet');
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(message, signature);
+        } catch {
+            throw new HttpError(401, 'Invalid signature');
+        }
+        if (signer.toLowerCase() !== siwe.address.toLowerCase()) {
+            throw new HttpError(401, 'Invalid signature', 'Signature does not match the message address');
+        }
+
+        // Only burn the nonce once the signature checks out
+        if (!(await db.useAuthNonce(siwe.nonce))) {
+            throw new HttpError(401, 'Sign-in nonce expired or already used', 'Request a new nonce and sign again');
+        }
+
+        const fid = fidFromResources(siwe.resources);
+        if (fid !== null) {
+            await checkFidSigner(fid, signer);
+        }
+        return createSession({ fid, address: signer.toLowerCase() });
+    }
+
+    // The signer must be the FID's custody address or an auth address it added
+    async function checkFidSigner(fid, address) {
+        try {
+            if (await idRegistry.idOf(address) === BigInt(fid)) return;
+            const key = await keyRegistry.keyDataOf(fid, address);
+            if (Number(key.state) === KEY_STATE_ADDED && Number(key.keyType) === KEY_TYPE_AUTH_ADDRESS) return;
+        } catch (err) {
+            throw new HttpError(502, 'Could not check Farcaster registries', err.shortMessage || err.message);
+        }
+        throw new HttpError(401, `Signer is not a custody or auth address of FID ${fid}`);
+    }
+
+    function createSession({ fid, address }) {
+        const expiresAt = new Date(Date.now() + sessionTtlMs);
+        const payload = { fid, address, exp: expiresAt.getTime() };
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const token = `${body}.${sign(body)}`;
+        return { token, expiresAt, ...sessionUser(payload) };
+    }
+
+    // Session user for a token, or null when it is missing, forged or expired
+    function verifyToken(token) {
+        const [body, mac] = String(token || '').split('.');
+        if (!body || !mac) return null;
+        const expected = Buffer.from(sign(body));
+        const given = Buffer.from(mac);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            if (!(payload.exp > Date.now())) return null;
+            return sessionUser(payload);
+        } catch {
+            return null;
+        }
+    }
+
+    // Per-image edit token handed to whoever generated the image, signed in or not
+    // (it goes out with the job result), so they can caption it afterwards
+    function imageEditToken(imageId) {
+        return sign(`edit:${imageId}`);
+    }
+
+    function verifyImageEditToken(imageId, token) {
+        const expected = Buffer.from(imageEditToken(imageId));
+        const given = Buffer.from(String(token || ''));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    // Signed, expiring grants for other flows (e.g. tip intents), checked later without storing
+    // anything. The MAC covers the kind, so a grant never passes as a session token or another kind.
+    function issueGrant(kind, fields, ttlMs) {
+        const expiresAt = new Date(Date.now() + ttlMs);
+        const body = Buffer.from(JSON.stringify({ ...fields, exp: expiresAt.getTime() })).toString('base64url');
+        return { token: `${body}.${sign(`${kind}:${body}`)}`, expiresAt };
+    }
+
+    // The fields of a valid, unexpired grant of `kind`, or null
+    function verifyGrant(kind, token) {
+        const [body, mac] = String(token || '').split('.');
+        if (!body || !mac) return null;
+        const expected = Buffer.from(sign(`${kind}:${body}`));
+        const given = Buffer.from(mac);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            return payload.exp > Date.now() ? payload : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function sign(body) {
+        return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    }
+
+    function userFromRequest(req) {
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        return match ? verifyToken(match[1]) : null;
+    }
+
+    // Middleware: 401 unless the request carries a valid session token
+    function requireUser(req, res, next) {
+        const user = userFromRequest(req);
+        if (!user) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'Sign in required', detail: 'Send Authorization: Bearer <token> from /api/auth/verify' });
+        }
+        req.user = user;
+        next();
+    }
+
+    // Middleware: sets req.user when a valid token is present, never rejects
+    function optionalUser(req, res, next) {
+        req.user = userFromRequest(req);
+        next();
+    }
+
+    return {
+        issueNonce, verifySignIn, createSession, verifyToken, requireUser, optionalUser,
+        imageEditToken, verifyImageEditToken, issueGrant, verifyGrant
+    };
+}
+
+// FID users act as their FID whatever wallet they sign with; web users as their wallet
+function sessionUser({ fid, address, exp }) {
+    return {
+        id: fid !== null && fid !== undefined ? `fid:${fid}` : `wallet:${address}`,
+        fid: fid ?? null,
+        address,
+        expiresAt: new Date(exp),
+    };
+}
+
+function fidFromResources(resources) {
+    for (const resource of resources) {
+        const match = /^farcaster:\/\/fid\/(\d+)$/.exec(resource);
+        if (match) return Number(match[1]);
+    }
+    return null;
+}
+
+// Parse an EIP-4361 (Sign-In with Ethereum) message; null when malformed
+export function parseSiweMessage(message) {
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+    if (!header || !ethers.isAddress(lines[1] || '')) return null;
+
+    const fields = {};
+    const resources = [];
+    let inResources = false;
+    for (const line of lines.slice(2)) {
+        if (inResources && line.startsWith('- ')) {
+            resources.push(line.slice(2).trim());
+            continue;
+        }
+        inResources = line === 'Resources:';
+        const field = /^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID): (.+)$/.exec(line);
+        if (field) fields[field[1]] = field[2].trim();
+    }
+    if (!fields.Nonce || !fields.URI || fields.Version !== '1') return null;
+
+    return {
+        domain: header[1],
+        address: lines[1],
+        uri: fields.URI,
+        version: fields.Version,
+        chainId: fields['Chain ID'] ? Number(fields['Chain ID']) : null,
+        nonce: fields.Nonce,
+        issuedAt: fields['Issued At'] || null,
+        expirationTime: fields['Expiration Time'] || null,
+        notBefore: fields['Not Before'] || null,
+        resources,
+    };
+}
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { HttpError } from './errors.mjs';
+
+// Candidate images waiting for the user to pick one. They are only kept in
+// memory, like generation jobs: a set expires ttlMs after it was made, and
+// once a pick is published the whole set goes, so the images not picked are
+// dropped with it. A set holds { imageId, images: [{ data, mimeType,
+// moderation }], publish }, where imageId is reserved for the picked image.
+export function createCandidateStore({ ttlMs = 15 * 60 * 1000 } = {}) {
+    const sets = new Map();
+
+    function add({ imageId, images, publish }) {
+        const set = {
+            id: crypto.randomUUID(),
+            imageId,
+            images,
+            publish,
+            expiresAt: new Date(Date.now() + ttlMs),
+        };
+        sets.set(set.id, set);
+        setTimeout(() => sets.delete(set.id), ttlMs).unref();
+        return set;
+    }
+
+    // One candidate's bytes, for previews; throws 404 once the set is picked or expired
+    function image(id, index) {
+        const set = sets.get(id);
+        const candidate = set?.images[Number(index)];
+        if (!candidate) throw new HttpError(404, 'Candidate not found', 'Candidates expire once one is picked or after a while');
+        return candidate;
+    }
+
+    // Claims the set for publishing one of its candidates; only one pick can be in flight.
+    // Returns the set with the picked candidate; follow up with remove() or release().
+    function claim(id, index) {
+        const set = sets.get(id);
+        if (!set) throw new HttpError(404, 'Candidates not found', 'Candidates expire once one is picked or after a while');
+        if (!Number.isInteger(index) || !set.images[index]) {
+            throw new HttpError(400, 'Invalid candidate', `index must be from 0 to ${set.images.length - 1}`);
+        }
+        if (set.claimed) throw new HttpError(409, 'A candidate is already being picked');
+        set.claimed = true;
+        return { ...set, picked: set.images[index] };
+    }
+
+    // Publishing failed: the candidates can be picked again
+    function release(id) {
+        const set = sets.get(id);
+        if (set) set.claimed = false;
+    }
+
+    function remove(id) {
+        sets.delete(id);
+    }
+
+    return { add, image, claim, release, remove, size: () => sets.size };
+}
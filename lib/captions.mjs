@@ -0,0 +1,133 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import { HttpError } from './errors.mjs';
+
+// Classic meme captions: top and bottom text in white Impact-style capitals
+// with a black outline, drawn over the image as SVG and flattened by sharp.
+// Impact is used when the server has it installed; CAPTION_FONT names another
+// font family. An optional hat-logo watermark goes in a bottom corner.
+
+export const CAPTION_MAX_LENGTH = 120;
+// Font size as a share of the image width
+export const CAPTION_SIZES = { small: 0.07, medium: 0.095, large: 0.12 };
+export const CAPTION_POSITIONS = ['left', 'center', 'right'];
+
+const DEFAULT_FONT = "Impact, Anton, 'Arial Black', 'DejaVu Sans', sans-serif";
+const MAX_LINES = 3;
+
+export function createCaptionRenderer({ watermarkFile, env = process.env }) {
+    const fontFamily = env.CAPTION_FONT || DEFAULT_FONT;
+    // The same family list as a Pango font description, for measuring text
+    const pangoFamily = fontFamily.replace(/['"]/g, '');
+    const watermark = fs.readFileSync(watermarkFile);
+
+    // Caption options from a request body: { top, bottom, size, position, watermark }; throws 400
+    function parse(body = {}) {
+        const text = (name) => {
+            const value = body[name] ?? '';
+            if (typeof value !== 'string') throw new HttpError(400, `${name} must be a string`);
+            // One line of text per field; the renderer wraps it
+            const clean = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim();
+            if (clean.length > CAPTION_MAX_LENGTH) {
+                throw new HttpError(400, 'Caption too long', `${name} takes at most ${CAPTION_MAX_LENGTH} characters`);
+            }
+            return clean;
+        };
+        const caption = {
+            top: text('top'),
+            bottom: text('bottom'),
+            size: body.size ?? 'medium',
+            position: body.position ?? 'center',
+            watermark: body.watermark === true,
+        };
+        if (!Object.hasOwn(CAPTION_SIZES, caption.size)) {
+            throw new HttpError(400, 'Invalid caption size', `size must be one of: ${Object.keys(CAPTION_SIZES).join(', ')}`);
+        }
+        if (!CAPTION_POSITIONS.includes(caption.position)) {
+            throw new HttpError(400, 'Invalid caption position', `position must be one of: ${CAPTION_POSITIONS.join(', ')}`);
+        }
+        if (!caption.top && !caption.bottom && !caption.watermark) {
+            throw new HttpError(400, 'Caption is empty', 'Send top or bottom text, or a watermark');
+        }
+        return caption;
+    }
+
+    // The image with the caption drawn on it, in the original's format (PNG unless it was a JPEG)
+    async function render(data, caption) {
+        const image = sharp(data);
+        const { width, height, format } = await image.metadata();
+        const pad = Math.round(width * 0.03);
+        const logoSize = caption.watermark ? Math.round(Math.min(width, height) * 0.12) : 0;
+        const layers = [{ input: Buffer.from(await captionSvg(width, height, pad, logoSize, caption)), top: 0, left: 0 }];
+
+        if (caption.watermark) {
+            const logo = await sharp(watermark).resize(logoSize, logoSize, { fit: 'inside' }).toBuffer();
+            // Opposite corner from right-aligned text
+            layers.push({ input: logo, top: height - logoSize - pad, left: caption.position === 'right' ? pad : width - logoSize - pad });
+        }
+
+        const output = image.composite(layers);
+        const jpeg = format === 'jpeg';
+        return {
+            data: await (jpeg ? output.jpeg({ quality: 92 }) : output.png()).toBuffer(),
+            mimeType: jpeg ? 'image/jpeg' : 'image/png',
+        };
+    }
+
+    async function captionSvg(width, height, pad, logoSize, { top, bottom, size, position }) {
+        const anchor = { left: 'start', center: 'middle', right: 'end' }[position];
+        const x = { left: pad, center: width / 2, right: width - pad }[position];
+        const block = async (value, atBottom) => {
+            if (!value) return '';
+            const text = value.toUpperCase();
+            // Bottom text keeps clear of the watermark on both sides so it stays centred
+            const maxWidth = width - 2 * pad - (atBottom && logoSize ? 2 * (logoSize + pad) : 0);
+            const { lines, fontSize } = fit(text, await charWidthEm(text), maxWidth, Math.round(width * CAPTION_SIZES[size]));
+            const lineHeight = Math.round(fontSize * 1.1);
+            const firstBaseline = atBottom
+                ? height - pad - (lines.length - 1) * lineHeight - Math.round(fontSize * 0.15)
+                : pad + Math.round(fontSize * 0.9);
+            return lines.map((line, i) => `<text x="${x}" y="${firstBaseline + i * lineHeight}" font-size="${fontSize}" stroke-width="${Math.max(2, Math.round(fontSize / 12))}">${escapeXml(line)}</text>`).join('');
+        };
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+<g font-family="${escapeXml(fontFamily)}" font-weight="900" fill="#fff" stroke="#000" stroke-linejoin="round" paint-order="stroke" text-anchor="${anchor}">
+${await block(top, false)}${await block(bottom, true)}
+</g></svg>`;
+    }
+
+    // Average advance of a character of this text in the caption font, in ems (with a little slack
+    // for the outline), measured by rendering it at 100px with the fonts the SVG will use
+    async function charWidthEm(text) {
+        const { info } = await sharp({ text: { text: escapeXml(text), font: `${pangoFamily} Bold 100`, dpi: 72 } })
+            .png()
+            .toBuffer({ resolveWithObject: true });
+        return (info.width / 100 / text.length) * 1.08;
+    }
+
+    return { parse, render };
+}
+
+// Word-wrap text to the width, shrinking the font until it fits in MAX_LINES
+function fit(text, charWidthEm, maxWidth, fontSize) {
+    for (let size = fontSize; ; size = Math.floor(size * 0.85)) {
+        const perLine = Math.max(1, Math.floor(maxWidth / (size * charWidthEm)));
+        const lines = wrap(text, perLine);
+        if ((lines.length <= MAX_LINES && lines.every(line => line.length <= perLine)) || size <= 12) {
+            return { lines, fontSize: size };
+        }
+    }
+}
+
+function wrap(text, perLine) {
+    const lines = [];
+    for (const word of text.split(' ')) {
+        const last = lines.at(-1);
+        if (last !== undefined && (last + ' ' + word).length <= perLine) lines[lines.length - 1] = `${last} ${word}`;
+        else lines.push(word);
+    }
+    return lines;
+}
+
+function escapeXml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
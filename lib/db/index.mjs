@@ -0,0 +1,42 @@
+import path from 'path';
+import { createPostgresClient } from './postgres.mjs';
+import { createSqliteClient } from './sqlite.mjs';
+import { createSqlRepository } from './sql-repository.mjs';
+import { createMemoryRepository } from './memory-repository.mjs';
+
+// Picks the metadata repository from DB_DRIVER (postgres | sqlite | memory).
+// Without it, Postgres is used when DATABASE_URL is set and SQLite otherwise;
+// if the optional SQLite module is not installed, the in-memory driver is used.
+export async function createRepository(env = process.env) {
+    const name = (env.DB_DRIVER || (env.DATABASE_URL ? 'postgres' : 'sqlite')).toLowerCase();
+    const repository = await openRepository(name, env, !env.DB_DRIVER);
+    await repository.init();
+    return repository;
+}
+
+async function openRepository(name, env, allowFallback) {
+    switch (name) {
+        case 'postgres':
+            if (!env.DATABASE_URL) {
+                throw new Error('DATABASE_URL is required for the postgres driver');
+            }
+            return createSqlRepository(createPostgresClient({
+                connectionString: env.DATABASE_URL,
+                ssl: env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+            }));
+        case 'sqlite':
+            try {
+                return createSqlRepository(await createSqliteClient({
+                    filename: env.SQLITE_PATH || path.join(process.cwd(), 'degenify.db'),
+                }));
+            } catch (err) {
+                if (!allowFallback || err.code !== 'ERR_MODULE_NOT_FOUND') throw err;
+                console.warn('⚠️ better-sqlite3 is not installed, using the in-memory database (nothing is persisted)');
+                return createMemoryRepository();
+            }
+        case 'memory':
+            return createMemoryRepository();
+        default:
+            throw new Error(`Unknown DB_DRIVER "${name}" (expected postgres, sqlite or memory)`);
+    }
+}
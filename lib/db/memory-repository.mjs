@@ -0,0 +1,505 @@
+import { STAT_COLUMNS, sumPayments, sumTips } from './sql-repository.mjs';
+import { searchRows } from './search.mjs';
+
+// In-memory metadata repository: no dependencies, nothing survives a restart.
+// Mirrors the SQL repository, including the row shapes it returns.
+export function createMemoryRepository() {
+    const images = new Map();
+    const quotes = new Map();
+    const payments = new Map();
+    const mints = new Map();
+    const tips = new Map();
+    const state = new Map();
+    const authNonces = new Map();
+    const reactions = new Map();
+    const stats = new Map();
+    const rateLimits = new Map();
+    const reports = new Map();
+    const bans = new Map();
+    const auditLog = [];
+    let nextReportId = 1;
+
+    const paymentKey = (txHash, logIndex) => `${txHash}:${logIndex}`;
+    const copy = (row) => (row ? { ...row } : null);
+
+    return {
+        driver: 'memory',
+
+        async init() { },
+
+        async close() { },
+
+        // Images
+        async insertImage({ id, prompt, storageDriver, storageKey, contentType, mode = null, baseImage = null, creator = null,
+            moderationStatus = 'visible', moderationReason = null, parentId = null, video = null }) {
+            const key = String(id);
+            if (images.has(key)) throw new Error(`Image ${key} already exists`);
+            images.set(key, {
+                id: key,
+                prompt,
+                cloudinary_url: null,
+                cloudinary_public_id: null,
+                storage_driver: storageDriver,
+                storage_key: storageKey,
+                content_type: contentType,
+                mode,
+                base_image: baseImage,
+                creator_fid: creator?.fid ?? null,
+                creator_username: creator?.username ?? null,
+                creator_address: creator?.address ?? null,
+                moderation_status: moderationStatus,
+                moderation_reason: moderationReason,
+                featured_at: null,
+                pinned_at: null,
+                caption: null,
+                caption_storage_driver: null,
+                caption_storage_key: null,
+                caption_content_type: null,
+                parent_id: parentId === null ? null : String(parentId),
+                video_storage_driver: video?.driver ?? null,
+                video_storage_key: video?.key ?? null,
+                video_content_type: video?.contentType ?? null,
+                timestamp: new Date(),
+            });
+        },
+
+        async getImage(id) {
+            return copy(images.get(String(id)));
+        },
+
+        async countRemixes(id) {
+            return [...images.values()]
+                .filter(img => img.parent_id === String(id) && img.moderation_status === 'visible').length;
+        },
+
+        async listImages({ limit, cursor, mode, from, to, creatorFid, moderationStatus = 'visible' }) {
+            return [...images.values()]
+                .filter(img => img.moderation_status === moderationStatus)
+                .sort(newestFirst)
+                .filter(img => !cursor || newestFirst(img, { timestamp: new Date(cursor.timestamp), id: cursor.id }) > 0)
+                .filter(img => creatorFid === undefined || img.creator_fid === Number(creatorFid))
+                .filter(img => !mode || img.mode === mode)
+                .filter(img => !from || img.timestamp >= new Date(from))
+                .filter(img => !to || img.timestamp < new Date(to))
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async listPinnedImages(limit) {
+            return [...images.values()]
+                .filter(img => img.pinned_at !== null && img.moderation_status === 'visible')
+                .sort((a, b) => b.pinned_at - a.pinned_at)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async updateImage(id, { moderationStatus, moderationReason, featured, pinned }) {
+            const img = images.get(String(id));
+            if (!img) return null;
+            if (moderationStatus !== undefined) img.moderation_status = moderationStatus;
+            if (moderationReason !== undefined) img.moderation_reason = moderationReason;
+            if (featured !== undefined) img.featured_at = featured ? new Date() : null;
+            if (pinned !== undefined) img.pinned_at = pinned ? new Date() : null;
+            return copy(img);
+        },
+
+        async setImageCaption(id, { caption = null, storageDriver = null, storageKey = null, contentType = null } = {}) {
+            const img = images.get(String(id));
+            if (!img) return null;
+            const before = copy(img);
+            img.caption = caption;
+            img.caption_storage_driver = storageDriver;
+            img.caption_storage_key = storageKey;
+            img.caption_content_type = contentType;
+            return before;
+        },
+
+        async deleteImage(id) {
+            const key = String(id);
+            const img = images.get(key);
+            if (!img) return null;
+            images.delete(key);
+            reactions.delete(key);
+            stats.delete(key);
+            for (const [reportId, report] of reports) {
+                if (report.image_id === key) reports.delete(reportId);
+            }
+            return copy(img);
+        },
+
+        async hideImagesByCreator({ fid = null, address = null, reason }) {
+            let hidden = 0;
+            for (const img of images.values()) {
+                const byCreator = (fid !== null && img.creator_fid === Number(fid)) || (address !== null && img.creator_address === address);
+                if (byCreator && img.moderation_status !== 'hidden') {
+                    Object.assign(img, { moderation_status: 'hidden', moderation_reason: reason });
+                    hidden++;
+                }
+            }
+            return hidden;
+        },
+
+        async listRankedImages({ sort, limit, offset = 0, mode, from, to }) {
+            const metric = (img) => {
+                const row = stats.get(img.id);
+                if (sort === 'top') return row?.score || 0;
+                return row?.hot ?? -Infinity;
+            };
+            return [...images.values()]
+                .filter(img => img.moderation_status === 'visible')
+                .filter(img => !mode || img.mode === mode)
+                .filter(img => !from || img.timestamp >= new Date(from))
+                .filter(img => !to || img.timestamp < new Date(to))
+                .sort((a, b) => (metric(b) - metric(a)) || newestFirst(a, b))
+                .slice(offset, offset + limit)
+                .map(img => ({ ...img, score: stats.get(img.id)?.score ?? null, hot: stats.get(img.id)?.hot ?? null }));
+        },
+
+        async searchImages({ query, limit, offset = 0, mode, from, to }) {
+            const rows = [...images.values()]
+                .filter(img => img.moderation_status === 'visible')
+                .filter(img => !mode || img.mode === mode)
+                .filter(img => !from || img.timestamp >= new Date(from))
+                .filter(img => !to || img.timestamp < new Date(to));
+            return searchRows(rows, query).slice(offset, offset + limit);
+        },
+
+        // Payment quotes
+        async createPaymentQuote({ nonce, amount, treasuryAddress, expiresAt, userId = null }) {
+            const quote = {
+                nonce,
+                amount,
+                treasury_address: treasuryAddress,
+                status: 'pending',
+                tx_hash: null,
+                from_address: null,
+                user_id: userId,
+                expires_at: new Date(expiresAt),
+                created_at: new Date(),
+            };
+            quotes.set(nonce, quote);
+            return copy(quote);
+        },
+
+        async getPaymentQuote(nonce) {
+            return copy(quotes.get(nonce));
+        },
+
+        async claimPaymentQuote(nonce, txHash, fromAddress) {
+            const quote = quotes.get(nonce);
+            if (!quote) return null;
+            const claimable = quote.status === 'paid' || (quote.status === 'pending' && quote.expires_at > new Date());
+            if (!claimable || (quote.tx_hash && quote.tx_hash !== txHash)) return null;
+            Object.assign(quote, { status: 'claimed', tx_hash: txHash, from_address: fromAddress });
+            return copy(quote);
+        },
+
+        async releasePaymentQuote(nonce) {
+            const quote = quotes.get(nonce);
+            if (quote?.status === 'claimed') quote.status = 'paid';
+        },
+
+        async consumePaymentQuote(nonce) {
+            const quote = quotes.get(nonce);
+            if (quote) quote.status = 'consumed';
+        },
+
+        // Payment ledger
+        async getPayment(txHash, logIndex) {
+            return copy(payments.get(paymentKey(txHash, logIndex)));
+        },
+
+        async recordPayment(transfer, source) {
+            const key = paymentKey(transfer.txHash, transfer.logIndex);
+            if (payments.has(key)) return false;
+            payments.set(key, newPayment(transfer, source, null));
+            return true;
+        },
+
+        async reservePayment(transfer, quoteNonce, source) {
+            const key = paymentKey(transfer.txHash, transfer.logIndex);
+            const existing = payments.get(key);
+            if (!existing) {
+                payments.set(key, newPayment(transfer, source, quoteNonce));
+                return copy(payments.get(key));
+            }
+            if (existing.consumed_at || (existing.quote_nonce && existing.quote_nonce !== quoteNonce)) {
+                return null;
+            }
+            existing.quote_nonce = quoteNonce;
+            return copy(existing);
+        },
+
+        async releasePayment(payment) {
+            const existing = payments.get(paymentKey(payment.tx_hash, payment.log_index));
+            if (existing && !existing.consumed_at && existing.quote_nonce === payment.quote_nonce) {
+                existing.quote_nonce = null;
+            }
+        },
+
+        async consumePayment(payment, imageId) {
+            const existing = payments.get(paymentKey(payment.tx_hash, payment.log_index));
+            if (!existing || existing.consumed_at) {
+                throw new Error(`Payment ${payment.tx_hash}:${payment.log_index} was already consumed`);
+            }
+            Object.assign(existing, { consumed_at: new Date(), image_id: String(imageId) });
+            return copy(existing);
+        },
+
+        async getPaymentTotals() {
+            return sumPayments([...payments.values()]);
+        },
+
+        async listUnconsumedPayments(createdBefore) {
+            return [...payments.values()]
+                .filter(p => !p.consumed_at && p.created_at < createdBefore)
+                .sort((a, b) => (b.block_number ?? -1) - (a.block_number ?? -1))
+                .map(copy);
+        },
+
+        // NFT mints
+        async recordMint({ contractAddress, tokenId, imageId, minterAddress, txHash, blockNumber }) {
+            const key = `${contractAddress}:${tokenId}`;
+            const minted = [...mints.values()].some(m => m.contract_address === contractAddress && m.image_id === String(imageId));
+            if (mints.has(key) || minted) return null;
+            mints.set(key, {
+                contract_address: contractAddress,
+                token_id: tokenId.toString(),
+                image_id: String(imageId),
+                minter_address: minterAddress,
+                tx_hash: txHash,
+                block_number: blockNumber,
+                created_at: new Date(),
+            });
+            return copy(mints.get(key));
+        },
+
+        async getMint(contractAddress, imageId) {
+            return copy([...mints.values()].find(m => m.contract_address === contractAddress && m.image_id === String(imageId)));
+        },
+
+        // Tips
+        async recordTip({ transfer, imageId, toAddress, feeAmount = 0n }) {
+            const key = paymentKey(transfer.txHash, transfer.logIndex);
+            if (tips.has(key)) return null;
+            tips.set(key, {
+                tx_hash: transfer.txHash,
+                log_index: transfer.logIndex,
+                image_id: String(imageId),
+                from_address: transfer.fromAddress,
+                to_address: toAddress,
+                amount: transfer.amount.toString(),
+                fee_amount: feeAmount.toString(),
+                block_number: transfer.blockNumber,
+                created_at: new Date(),
+            });
+            return copy(tips.get(key));
+        },
+
+        async getTip(txHash, logIndex) {
+            return copy(tips.get(paymentKey(txHash, logIndex)));
+        },
+
+        async getTipTotals(imageIds) {
+            const ids = new Set(imageIds.map(String));
+            const rows = [...tips.values()].filter(t => ids.has(t.image_id)).map(t => ({ ...t, count: 1 }));
+            return sumTips([...ids], rows);
+        },
+
+        // Key/value store
+        async getState(key) {
+            return state.get(key) ?? null;
+        },
+
+        async setState(key, value) {
+            state.set(key, String(value));
+        },
+
+        // Sign-in nonces
+        async createAuthNonce(nonce, expiresAt) {
+            if (authNonces.has(nonce)) throw new Error(`Nonce ${nonce} already exists`);
+            authNonces.set(nonce, { nonce, expires_at: new Date(expiresAt), used_at: null, created_at: new Date() });
+        },
+
+        async useAuthNonce(nonce) {
+            const row = authNonces.get(nonce);
+            if (!row || row.used_at || row.expires_at <= new Date()) return false;
+            row.used_at = new Date();
+            return true;
+        },
+
+        // Reactions, keyed by image id then actor
+        async toggleReaction({ imageId, actor, fid = null, address = null }) {
+            const id = String(imageId);
+            if (!images.has(id)) throw new Error(`Image ${id} does not exist`);
+            if (!reactions.has(id)) reactions.set(id, new Map());
+            const byActor = reactions.get(id);
+            const removed = byActor.get(actor);
+            byActor.delete(actor);
+            if (!removed) byActor.set(actor, { image_id: id, actor, fid, address, created_at: new Date() });
+            return { reacted: !removed, count: byActor.size, removedAt: removed ? removed.created_at : null };
+        },
+
+        async recordEngagement({ imageId, kind, delta, weight, hotTerm }) {
+            const column = STAT_COLUMNS[kind];
+            if (!column) throw new Error(`Unknown engagement kind "${kind}"`);
+            const id = String(imageId);
+            if (!stats.has(id)) {
+                stats.set(id, { image_id: id, reactions: 0, shares: 0, downloads: 0, views: 0, score: 0, hot: null, updated_at: new Date() });
+            }
+            const row = stats.get(id);
+            row[column] = Math.max(row[column] + delta, 0);
+            row.score = Math.max(row.score + weight * delta, 0);
+            row.hot = delta > 0 ? logAddExp(row.hot, hotTerm) : logSubExp(row.hot, hotTerm);
+            row.updated_at = new Date();
+        },
+
+        async getImageStats(imageId) {
+            return copy(stats.get(String(imageId)));
+        },
+
+        async getReactionCounts(imageIds) {
+            return Object.fromEntries(imageIds.map(id => [String(id), reactions.get(String(id))?.size || 0]));
+        },
+
+        async listReactedImageIds(imageIds, actor) {
+            return imageIds.map(String).filter(id => reactions.get(id)?.has(actor));
+        },
+
+        // Reports
+        async createReport({ imageId, reporter, reason, note = null }) {
+            const id = String(imageId);
+            if (!images.has(id)) throw new Error(`Image ${id} does not exist`);
+            if ([...reports.values()].some(r => r.image_id === id && r.reporter === reporter)) return null;
+            const report = { id: nextReportId++, image_id: id, reporter, reason, note, status: 'open', created_at: new Date(), resolved_at: null, resolved_by: null };
+            reports.set(report.id, report);
+            return copy(report);
+        },
+
+        async countOpenReports(imageId, { fidOnly = false } = {}) {
+            return [...reports.values()]
+                .filter(r => r.image_id === String(imageId) && r.status === 'open' && (!fidOnly || r.reporter.startsWith('fid:')))
+                .length;
+        },
+
+        async listReports({ status, limit, offset = 0 }) {
+            return [...reports.values()]
+                .filter(r => r.status === status)
+                .sort((a, b) => (a.created_at - b.created_at) || (a.id - b.id))
+                .slice(offset, offset + limit)
+                .map(copy);
+        },
+
+        async updateReport(id, { status, resolvedBy }) {
+            const report = reports.get(Number(id));
+            if (!report) return null;
+            Object.assign(report, { status, resolved_by: resolvedBy, resolved_at: new Date() });
+            return copy(report);
+        },
+
+        async resolveImageReports(imageId, { status, resolvedBy }) {
+            let resolved = 0;
+            for (const report of reports.values()) {
+                if (report.image_id === String(imageId) && report.status === 'open') {
+                    Object.assign(report, { status, resolved_by: resolvedBy, resolved_at: new Date() });
+                    resolved++;
+                }
+            }
+            return resolved;
+        },
+
+        // Bans
+        async createBan({ subject, reason = null, createdBy }) {
+            const existing = bans.get(subject);
+            const ban = { subject, reason, created_by: createdBy, created_at: existing?.created_at || new Date() };
+            bans.set(subject, ban);
+            return copy(ban);
+        },
+
+        async deleteBan(subject) {
+            return bans.delete(subject);
+        },
+
+        async listBans() {
+            return [...bans.values()].sort((a, b) => b.created_at - a.created_at).map(copy);
+        },
+
+        async findBan(subjects) {
+            const subject = subjects.find(s => bans.has(s));
+            return subject ? copy(bans.get(subject)) : null;
+        },
+
+        // Admin audit log
+        async addAuditEntry({ admin, action, targetType, targetId, detail = null }) {
+            auditLog.push({ id: auditLog.length + 1, admin, action, target_type: targetType, target_id: String(targetId), detail, created_at: new Date() });
+        },
+
+        async listAuditLog({ limit, before = null }) {
+            return auditLog
+                .filter(entry => before === null || entry.id < before)
+                .reverse()
+                .slice(0, limit)
+                .map(entry => ({ ...entry, detail: entry.detail === null ? null : structuredClone(entry.detail) }));
+        },
+
+        // Rate limits, fixed windows keyed by bucket
+        async hitRateLimit(bucket, resetAt, amount = 1) {
+            const row = rateLimits.get(bucket);
+            if (!row || row.reset_at <= new Date()) {
+                rateLimits.set(bucket, { bucket, count: amount, reset_at: new Date(resetAt) });
+            } else {
+                row.count += amount;
+            }
+            const { count, reset_at } = rateLimits.get(bucket);
+            return { count, resetAt: new Date(reset_at) };
+        },
+
+        async refundRateLimit(bucket, resetAt, amount = 1) {
+            const row = rateLimits.get(bucket);
+            if (row && row.count > 0 && row.reset_at.getTime() === new Date(resetAt).getTime()) row.count = Math.max(row.count - amount, 0);
+        },
+
+        async pruneRateLimits() {
+            let pruned = 0;
+            for (const [bucket, row] of rateLimits) {
+                if (row.reset_at <= new Date()) {
+                    rateLimits.delete(bucket);
+                    pruned++;
+                }
+            }
+            return pruned;
+        },
+    };
+}
+
+// ln(e^a + e^b) and ln(e^a - e^b), matching the SQL in recordEngagement
+function logAddExp(hot, term) {
+    if (hot === null) return term;
+    const high = Math.max(hot, term);
+    return high + Math.log1p(Math.exp(Math.min(hot, term) - high));
+}
+
+function logSubExp(hot, term) {
+    if (hot === null || term >= hot - 1e-9) return null;
+    return hot + Math.log1p(-Math.exp(term - hot));
+}
+
+// Same order as the SQL drivers: timestamp, then id, both descending
+function newestFirst(a, b) {
+    return (b.timestamp - a.timestamp) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+function newPayment(transfer, source, quoteNonce) {
+    return {
+        tx_hash: transfer.txHash,
+        log_index: transfer.logIndex,
+        from_address: transfer.fromAddress,
+        amount: transfer.amount.toString(),
+        block_number: transfer.blockNumber,
+        source,
+        quote_nonce: quoteNonce,
+        image_id: null,
+        consumed_at: null,
+        created_at: new Date(),
+    };
+}
@@ -0,0 +1,19 @@
+import pg from 'pg';
+
+// PostgreSQL client for the SQL repository
+export function createPostgresClient({ connectionString, ssl }) {
+    const pool = new pg.Pool({ connectionString, ssl });
+
+    return {
+        dialect: 'postgres',
+
+        async query(text, params = []) {
+            const result = await pool.query(text, params);
+            return { rows: result.rows, rowCount: result.rowCount };
+        },
+
+        async close() {
+            await pool.end();
+        },
+    };
+}
@@ -0,0 +1,363 @@
+// Table definitions per SQL dialect, with the migrations for databases created by
+// older versions. SQLite has no ADD COLUMN IF NOT EXISTS, so its schema lists the
+// columns added since a table was created as { table, columns } entries, and
+// init() adds the ones a database file is missing.
+
+export const POSTGRES_SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS images (
+        id VARCHAR(255) PRIMARY KEY,
+        prompt TEXT NOT NULL,
+        cloudinary_url TEXT NOT NULL,
+        cloudinary_public_id VARCHAR(255) NOT NULL,
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // Storage driver columns; rows without them are legacy Cloudinary uploads
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS storage_key TEXT,
+        ADD COLUMN IF NOT EXISTS content_type VARCHAR(64),
+        ALTER COLUMN cloudinary_url DROP NOT NULL,
+        ALTER COLUMN cloudinary_public_id DROP NOT NULL`,
+    // Generation mode used to live in a "PFP: " prompt prefix
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS mode VARCHAR(16),
+        ADD COLUMN IF NOT EXISTS base_image TEXT`,
+    `UPDATE images SET mode = 'pfp', prompt = substring(prompt from 6)
+     WHERE mode IS NULL AND prompt LIKE 'PFP: %'`,
+    // Keyset pagination compares millisecond timestamps, the precision a JS cursor carries
+    `CREATE INDEX IF NOT EXISTS images_gallery_idx ON images ((date_trunc('milliseconds', timestamp)) DESC, id DESC)`,
+    `CREATE INDEX IF NOT EXISTS images_mode_idx ON images (mode, (date_trunc('milliseconds', timestamp)) DESC, id DESC)`,
+    // Creator attribution; NULL for anonymous images and everything made before it existed
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS creator_fid BIGINT,
+        ADD COLUMN IF NOT EXISTS creator_username VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS creator_address VARCHAR(42)`,
+    `CREATE INDEX IF NOT EXISTS images_creator_idx ON images (creator_fid, (date_trunc('milliseconds', timestamp)) DESC, id DESC)`,
+    // Full-text prompt search for /api/search
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('english', coalesce(prompt, ''))) STORED`,
+    `CREATE INDEX IF NOT EXISTS images_search_idx ON images USING GIN (search_vector)`,
+    // Moderation: only visible images are listed; pending ones wait for review, hidden ones were flagged
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(16) NOT NULL DEFAULT 'visible',
+        ADD COLUMN IF NOT EXISTS moderation_reason TEXT`,
+    `CREATE TABLE IF NOT EXISTS payment_quotes (
+        nonce VARCHAR(64) PRIMARY KEY,
+        amount VARCHAR(78) NOT NULL,
+        treasury_address VARCHAR(42) NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        tx_hash VARCHAR(66),
+        from_address VARCHAR(42),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // Signed-in user the quote was issued to; only they can spend it
+    `ALTER TABLE payment_quotes ADD COLUMN IF NOT EXISTS user_id VARCHAR(80)`,
+    // Ledger of DEGEN transfers to the treasury; each Transfer log pays for at most one image
+    `CREATE TABLE IF NOT EXISTS payments (
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INTEGER NOT NULL,
+        from_address VARCHAR(42) NOT NULL,
+        amount NUMERIC(78, 0) NOT NULL,
+        block_number BIGINT,
+        source VARCHAR(16) NOT NULL DEFAULT 'verify',
+        quote_nonce VARCHAR(64),
+        image_id VARCHAR(255),
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tx_hash, log_index)
+    )`,
+    // NFTs minted from images, checked against their mint transaction. Rows outlive
+    // the image: the token stays on-chain. Each image is minted once per contract.
+    `CREATE TABLE IF NOT EXISTS nft_mints (
+        contract_address VARCHAR(42) NOT NULL,
+        token_id NUMERIC(78, 0) NOT NULL,
+        image_id VARCHAR(255) NOT NULL,
+        minter_address VARCHAR(42) NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        block_number BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (contract_address, token_id),
+        UNIQUE (contract_address, image_id)
+    )`,
+    // DEGEN tips to creators, one per Transfer log. fee_amount is the platform's share,
+    // a separate transfer to the treasury kept in the payments ledger.
+    `CREATE TABLE IF NOT EXISTS tips (
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INTEGER NOT NULL,
+        image_id VARCHAR(255) NOT NULL,
+        from_address VARCHAR(42) NOT NULL,
+        to_address VARCHAR(42) NOT NULL,
+        amount NUMERIC(78, 0) NOT NULL,
+        fee_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        block_number BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tx_hash, log_index)
+    )`,
+    `CREATE INDEX IF NOT EXISTS tips_image_idx ON tips (image_id)`,
+    `CREATE TABLE IF NOT EXISTS ledger_state (
+        key VARCHAR(64) PRIMARY KEY,
+        value TEXT NOT NULL
+    )`,
+    // Sign-in nonces; each one verifies a single signed message
+    `CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce VARCHAR(64) PRIMARY KEY,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // One reaction per actor ("fid:<n>" or "wallet:<address>") per image
+    `CREATE TABLE IF NOT EXISTS reactions (
+        image_id VARCHAR(255) NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        actor VARCHAR(64) NOT NULL,
+        fid BIGINT,
+        address VARCHAR(42),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (image_id, actor)
+    )`,
+    // Engagement counters and ranking scores, updated per event (see lib/ranking.mjs)
+    `CREATE TABLE IF NOT EXISTS image_stats (
+        image_id VARCHAR(255) PRIMARY KEY REFERENCES images(id) ON DELETE CASCADE,
+        reactions INTEGER NOT NULL DEFAULT 0,
+        shares INTEGER NOT NULL DEFAULT 0,
+        downloads INTEGER NOT NULL DEFAULT 0,
+        views INTEGER NOT NULL DEFAULT 0,
+        score DOUBLE PRECISION NOT NULL DEFAULT 0,
+        hot DOUBLE PRECISION,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS image_stats_hot_idx ON image_stats (hot DESC)`,
+    `CREATE INDEX IF NOT EXISTS image_stats_score_idx ON image_stats (score DESC)`,
+    // Fixed-window counters behind generation quotas and burst limits (see lib/quota.mjs)
+    `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket VARCHAR(160) PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMP NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS rate_limits_reset_idx ON rate_limits (reset_at)`,
+    // Admin curation: featured images get a badge, pinned ones lead the gallery
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS featured_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP`,
+    // Captioned derivative (top/bottom meme text) served instead of the original when set
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS caption TEXT,
+        ADD COLUMN IF NOT EXISTS caption_storage_driver VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS caption_storage_key TEXT,
+        ADD COLUMN IF NOT EXISTS caption_content_type VARCHAR(64)`,
+    // Remixes point at the image they were made from; the parent may since have been deleted
+    `ALTER TABLE images ADD COLUMN IF NOT EXISTS parent_id VARCHAR(255)`,
+    `CREATE INDEX IF NOT EXISTS images_parent_idx ON images (parent_id)`,
+    // Animations: the image is an animated GIF, with an MP4/WebM version of the loop when one was made
+    `ALTER TABLE images
+        ADD COLUMN IF NOT EXISTS video_storage_driver VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS video_storage_key TEXT,
+        ADD COLUMN IF NOT EXISTS video_content_type VARCHAR(64)`,
+    // User reports for admins to review; one per reporter ("fid:<n>", "wallet:<address>" or "ip:<address>") per image
+    `CREATE TABLE IF NOT EXISTS reports (
+        id SERIAL PRIMARY KEY,
+        image_id VARCHAR(255) NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        reporter VARCHAR(80) NOT NULL,
+        reason VARCHAR(32) NOT NULL,
+        note TEXT,
+        status VARCHAR(16) NOT NULL DEFAULT 'open',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP,
+        resolved_by VARCHAR(80),
+        UNIQUE (image_id, reporter)
+    )`,
+    `CREATE INDEX IF NOT EXISTS reports_status_idx ON reports (status, created_at DESC)`,
+    // Banned FIDs ("fid:<n>") and wallets ("wallet:<address>")
+    `CREATE TABLE IF NOT EXISTS bans (
+        subject VARCHAR(80) PRIMARY KEY,
+        reason TEXT,
+        created_by VARCHAR(80) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // Every admin action, newest last
+    `CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        admin VARCHAR(80) NOT NULL,
+        action VARCHAR(32) NOT NULL,
+        target_type VARCHAR(16) NOT NULL,
+        target_id VARCHAR(255) NOT NULL,
+        detail TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+];
+
+const SQLITE_NOW = `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+
+export const SQLITE_SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS images (
+        id TEXT PRIMARY KEY,
+        prompt TEXT NOT NULL,
+        cloudinary_url TEXT,
+        cloudinary_public_id TEXT,
+        storage_driver TEXT,
+        storage_key TEXT,
+        content_type TEXT,
+        mode TEXT,
+        base_image TEXT,
+        creator_fid INTEGER,
+        creator_username TEXT,
+        creator_address TEXT,
+        moderation_status TEXT NOT NULL DEFAULT 'visible',
+        moderation_reason TEXT,
+        featured_at TEXT,
+        pinned_at TEXT,
+        caption TEXT,
+        caption_storage_driver TEXT,
+        caption_storage_key TEXT,
+        caption_content_type TEXT,
+        parent_id TEXT,
+        video_storage_driver TEXT,
+        video_storage_key TEXT,
+        video_content_type TEXT,
+        timestamp TEXT DEFAULT ${SQLITE_NOW}
+    )`,
+    {
+        table: 'images',
+        columns: {
+            mode: 'TEXT',
+            base_image: 'TEXT',
+            creator_fid: 'INTEGER',
+            creator_username: 'TEXT',
+            creator_address: 'TEXT',
+            moderation_status: `TEXT NOT NULL DEFAULT 'visible'`,
+            moderation_reason: 'TEXT',
+            featured_at: 'TEXT',
+            pinned_at: 'TEXT',
+            caption: 'TEXT',
+            caption_storage_driver: 'TEXT',
+            caption_storage_key: 'TEXT',
+            caption_content_type: 'TEXT',
+            parent_id: 'TEXT',
+            video_storage_driver: 'TEXT',
+            video_storage_key: 'TEXT',
+            video_content_type: 'TEXT'
+        }
+    },
+    `UPDATE images SET mode = 'pfp', prompt = substr(prompt, 6)
+     WHERE mode IS NULL AND substr(prompt, 1, 5) = 'PFP: '`,
+    `CREATE INDEX IF NOT EXISTS images_gallery_idx ON images (timestamp DESC, id DESC)`,
+    `CREATE INDEX IF NOT EXISTS images_mode_idx ON images (mode, timestamp DESC, id DESC)`,
+    `CREATE INDEX IF NOT EXISTS images_creator_idx ON images (creator_fid, timestamp DESC, id DESC)`,
+    `CREATE INDEX IF NOT EXISTS images_parent_idx ON images (parent_id)`,
+    `CREATE TABLE IF NOT EXISTS payment_quotes (
+        nonce TEXT PRIMARY KEY,
+        amount TEXT NOT NULL,
+        treasury_address TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        tx_hash TEXT,
+        from_address TEXT,
+        user_id TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+    )`,
+    { table: 'payment_quotes', columns: { user_id: 'TEXT' } },
+    // Amounts are wei strings: they do not fit SQLite's 64-bit integers
+    `CREATE TABLE IF NOT EXISTS payments (
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        from_address TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        block_number INTEGER,
+        source TEXT NOT NULL DEFAULT 'verify',
+        quote_nonce TEXT,
+        image_id TEXT,
+        consumed_at TEXT,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        PRIMARY KEY (tx_hash, log_index)
+    )`,
+    // Token ids are strings for the same reason
+    `CREATE TABLE IF NOT EXISTS nft_mints (
+        contract_address TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        image_id TEXT NOT NULL,
+        minter_address TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        block_number INTEGER,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        PRIMARY KEY (contract_address, token_id),
+        UNIQUE (contract_address, image_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS tips (
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        image_id TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        fee_amount TEXT NOT NULL DEFAULT '0',
+        block_number INTEGER,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        PRIMARY KEY (tx_hash, log_index)
+    )`,
+    `CREATE INDEX IF NOT EXISTS tips_image_idx ON tips (image_id)`,
+    `CREATE TABLE IF NOT EXISTS ledger_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS reactions (
+        image_id TEXT NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        actor TEXT NOT NULL,
+        fid INTEGER,
+        address TEXT,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        PRIMARY KEY (image_id, actor)
+    )`,
+    `CREATE TABLE IF NOT EXISTS image_stats (
+        image_id TEXT PRIMARY KEY REFERENCES images(id) ON DELETE CASCADE,
+        reactions INTEGER NOT NULL DEFAULT 0,
+        shares INTEGER NOT NULL DEFAULT 0,
+        downloads INTEGER NOT NULL DEFAULT 0,
+        views INTEGER NOT NULL DEFAULT 0,
+        score REAL NOT NULL DEFAULT 0,
+        hot REAL,
+        updated_at TEXT DEFAULT ${SQLITE_NOW}
+    )`,
+    `CREATE INDEX IF NOT EXISTS image_stats_hot_idx ON image_stats (hot DESC)`,
+    `CREATE INDEX IF NOT EXISTS image_stats_score_idx ON image_stats (score DESC)`,
+    `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TEXT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS rate_limits_reset_idx ON rate_limits (reset_at)`,
+    `CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        image_id TEXT NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        reporter TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        note TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        resolved_at TEXT,
+        resolved_by TEXT,
+        UNIQUE (image_id, reporter)
+    )`,
+    `CREATE INDEX IF NOT EXISTS reports_status_idx ON reports (status, created_at DESC)`,
+    `CREATE TABLE IF NOT EXISTS bans (
+        subject TEXT PRIMARY KEY,
+        reason TEXT,
+        created_by TEXT NOT NULL,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        detail TEXT,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+    )`,
+];
@@ -0,0 +1,76 @@
+// Prompt search for drivers without Postgres full-text search. Understands the
+// same syntax as websearch_to_tsquery: words, "quoted phrases", -excluded and OR.
+
+// Parse a query into alternatives (split on OR), each a list of required terms
+// and phrases plus terms that must not appear
+export function parseSearchQuery(text) {
+    const tokens = [...String(text).toLowerCase().matchAll(/(-?)"([^"]*)"|(\S+)/g)].map(m => {
+        if (m[3] !== undefined) {
+            const negated = m[3].startsWith('-') && m[3].length > 1;
+            return { text: normalize(negated ? m[3].slice(1) : m[3]), negated, or: m[3] === 'or' };
+        }
+        return { text: normalize(m[2]), negated: m[1] === '-', or: false };
+    });
+
+    const alternatives = [];
+    let current = { include: [], exclude: [] };
+    for (const token of tokens) {
+        if (token.or) {
+            alternatives.push(current);
+            current = { include: [], exclude: [] };
+        } else if (token.text) {
+            (token.negated ? current.exclude : current.include).push(token.text);
+        }
+    }
+    alternatives.push(current);
+    return alternatives.filter(alt => alt.include.length > 0);
+}
+
+// Relevance of a prompt for a parsed query; 0 means no match. Phrases count
+// once per occurrence and more for longer phrases, like a rough ts_rank_cd.
+export function scorePrompt(prompt, alternatives) {
+    const haystack = ` ${normalize(prompt)} `;
+    let best = 0;
+    for (const { include, exclude } of alternatives) {
+        if (exclude.some(term => containsWord(haystack, term))) continue;
+        let score = 0;
+        for (const term of include) {
+            const hits = countWord(haystack, term);
+            if (hits === 0) {
+                score = 0;
+                break;
+            }
+            score += hits * term.split(' ').length;
+        }
+        best = Math.max(best, score / haystack.length);
+    }
+    return best;
+}
+
+// Search a list of image rows: matches with a rank, best first, then newest first
+export function searchRows(rows, query) {
+    const alternatives = parseSearchQuery(query);
+    return rows
+        .map(row => ({ ...row, rank: scorePrompt(row.prompt || '', alternatives) }))
+        .filter(row => row.rank > 0)
+        .sort((a, b) => (b.rank - a.rank) || (new Date(b.timestamp) - new Date(a.timestamp)) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+}
+
+function normalize(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Terms match at the start of a word, so "surf" finds "surfing"
+function countWord(haystack, term) {
+    let count = 0;
+    let index = haystack.indexOf(` ${term}`);
+    while (index !== -1) {
+        count++;
+        index = haystack.indexOf(` ${term}`, index + term.length + 1);
+    }
+    return count;
+}
+
+function containsWord(haystack, term) {
+    return haystack.includes(` ${term}`);
+}
@@ -0,0 +1,604 @@
+import { POSTGRES_SCHEMA, SQLITE_SCHEMA } from './schema.mjs';
+import { parseSearchQuery, searchRows } from './search.mjs';
+
+// image_stats counter for each engagement kind
+export const STAT_COLUMNS = { reaction: 'reactions', share: 'shares', download: 'downloads', view: 'views' };
+
+// SQLite search ranks at most this many candidate rows (the newest) per query
+const SEARCH_SCAN_LIMIT = 1000;
+
+// Metadata repository on top of a SQL client (Postgres or SQLite).
+// Rows are returned with their column names, the same for every driver.
+export function createSqlRepository(client) {
+    const { dialect } = client;
+    const query = (text, params) => client.query(text, params);
+    const first = async (text, params) => (await query(text, params)).rows[0] || null;
+    // Postgres timestamps carry microseconds; cursors only carry milliseconds
+    const galleryTs = dialect === 'postgres' ? `date_trunc('milliseconds', timestamp)` : 'timestamp';
+
+    return {
+        driver: dialect,
+
+        async init() {
+            const schema = dialect === 'postgres' ? POSTGRES_SCHEMA : SQLITE_SCHEMA;
+            for (const statement of schema) {
+                if (typeof statement === 'string') {
+                    await query(statement);
+                    continue;
+                }
+                const { rows } = await query(`PRAGMA table_info(${statement.table})`);
+                const existing = new Set(rows.map(row => row.name));
+                for (const [column, type] of Object.entries(statement.columns)) {
+                    if (!existing.has(column)) {
+                        await query(`ALTER TABLE ${statement.table} ADD COLUMN ${column} ${type}`);
+                    }
+                }
+            }
+        },
+
+        close: () => client.close(),
+
+        // Images
+        async insertImage({ id, prompt, storageDriver, storageKey, contentType, mode = null, baseImage = null, creator = null,
+            moderationStatus = 'visible', moderationReason = null, parentId = null, video = null }) {
+            await query(
+                `INSERT INTO images (id, prompt, storage_driver, storage_key, content_type, mode, base_image,
+                                     creator_fid, creator_username, creator_address, moderation_status, moderation_reason, parent_id,
+                                     video_storage_driver, video_storage_key, video_content_type)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+                [String(id), prompt, storageDriver, storageKey, contentType, mode, baseImage,
+                    creator?.fid ?? null, creator?.username ?? null, creator?.address ?? null, moderationStatus, moderationReason,
+                    parentId === null ? null : String(parentId), video?.driver ?? null, video?.key ?? null, video?.contentType ?? null]
+            );
+        },
+
+        getImage: (id) => first('SELECT * FROM images WHERE id = $1', [String(id)]),
+
+        // Published remixes made directly from an image
+        async countRemixes(id) {
+            const row = await first(
+                `SELECT COUNT(*) AS count FROM images WHERE parent_id = $1 AND moderation_status = 'visible'`,
+                [String(id)]
+            );
+            return Number(row.count);
+        },
+
+        // Newest first, keyset-paginated on (timestamp, id); only published images by default
+        async listImages({ limit, cursor, mode, from, to, creatorFid, moderationStatus = 'visible' }) {
+            const where = [];
+            const params = [];
+            const param = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+            where.push(`moderation_status = ${param(moderationStatus)}`);
+
+            if (cursor) {
+                const ts = param(cursor.timestamp);
+                where.push(`(${galleryTs} < ${ts} OR (${galleryTs} = ${ts} AND id < ${param(cursor.id)}))`);
+            }
+            if (mode) where.push(`mode = ${param(mode)}`);
+            if (from) where.push(`timestamp >= ${param(from)}`);
+            if (to) where.push(`timestamp < ${param(to)}`);
+            if (creatorFid !== undefined) where.push(`creator_fid = ${param(creatorFid)}`);
+
+            const { rows } = await query(
+                `SELECT * FROM images
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY ${galleryTs} DESC, id DESC
+                 LIMIT ${param(limit)}`,
+                params
+            );
+            return rows;
+        },
+
+        // Published pinned images, most recently pinned first
+        listPinnedImages: (limit) => query(
+            `SELECT * FROM images WHERE pinned_at IS NOT NULL AND moderation_status = 'visible'
+             ORDER BY pinned_at DESC LIMIT $1`,
+            [limit]
+        ).then(result => result.rows),
+
+        // Admin changes: moderation status/reason and featured/pinned flags; null when the image is gone
+        async updateImage(id, { moderationStatus, moderationReason, featured, pinned }) {
+            const sets = [];
+            const params = [String(id)];
+            const param = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+            if (moderationStatus !== undefined) sets.push(`moderation_status = ${param(moderationStatus)}`);
+            if (moderationReason !== undefined) sets.push(`moderation_reason = ${param(moderationReason)}`);
+            if (featured !== undefined) sets.push(`featured_at = ${featured ? 'NOW()' : 'NULL'}`);
+            if (pinned !== undefined) sets.push(`pinned_at = ${pinned ? 'NOW()' : 'NULL'}`);
+            if (sets.length === 0) return first('SELECT * FROM images WHERE id = $1', params);
+            return first(`UPDATE images SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, params);
+        },
+
+        // Points an image at its captioned derivative (caption is the JSON of the options),
+        // or back at the original without one; returns the row before the change, or null
+        async setImageCaption(id, { caption = null, storageDriver = null, storageKey = null, contentType = null } = {}) {
+            const before = await first('SELECT * FROM images WHERE id = $1', [String(id)]);
+            if (!before) return null;
+            await query(
+                `UPDATE images SET caption = $2, caption_storage_driver = $3, caption_storage_key = $4, caption_content_type = $5
+                 WHERE id = $1`,
+                [String(id), caption, storageDriver, storageKey, contentType]
+            );
+            return before;
+        },
+
+        // Removes the row (reactions, stats and reports go with it); returns it, or null
+        deleteImage: (id) => first('DELETE FROM images WHERE id = $1 RETURNING *', [String(id)]),
+
+        // Hides every published or pending image by a creator; returns how many
+        async hideImagesByCreator({ fid = null, address = null, reason }) {
+            const result = await query(
+                `UPDATE images SET moderation_status = 'hidden', moderation_reason = $3
+                 WHERE (creator_fid = $1 OR creator_address = $2) AND moderation_status <> 'hidden'`,
+                [fid, address, reason]
+            );
+            return result.rowCount;
+        },
+
+        // Prompt search, best match first; rows carry a `rank`
+        async searchImages({ query: text, limit, offset = 0, mode, from, to }) {
+            const where = [`moderation_status = 'visible'`];
+            const params = [];
+            const param = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+            if (mode) where.push(`mode = ${param(mode)}`);
+            if (from) where.push(`timestamp >= ${param(from)}`);
+            if (to) where.push(`timestamp < ${param(to)}`);
+
+            if (dialect === 'postgres') {
+                const tsquery = param(text);
+                const { rows } = await query(
+                    `SELECT images.*, ts_rank_cd(search_vector, q) AS rank
+                     FROM images, websearch_to_tsquery('english', ${tsquery}) q
+                     WHERE search_vector @@ q AND ${where.join(' AND ')}
+                     ORDER BY rank DESC, timestamp DESC, id DESC
+                     LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+                    params
+                );
+                return rows.map(({ search_vector, ...row }) => row);
+            }
+
+            // No full-text index: narrow with LIKE (every word of one of the alternatives),
+            // then rank the newest candidates in JS
+            const alternatives = parseSearchQuery(text);
+            if (alternatives.length === 0) return [];
+            const anyOf = alternatives.map(({ include }) => {
+                const words = new Set(include.flatMap(term => term.split(' ')));
+                return `(${[...words].map(word => `prompt LIKE ${param(`%${word}%`)}`).join(' AND ')})`;
+            });
+            where.push(`(${anyOf.join(' OR ')})`);
+            const { rows } = await query(
+                `SELECT * FROM images WHERE ${where.join(' AND ')}
+                 ORDER BY timestamp DESC, id DESC
+                 LIMIT ${param(SEARCH_SCAN_LIMIT)}`,
+                params
+            );
+            return searchRows(rows, text).slice(offset, offset + limit);
+        },
+
+        // Sign-in nonces
+        async createAuthNonce(nonce, expiresAt) {
+            await query('INSERT INTO auth_nonces (nonce, expires_at) VALUES ($1, $2)', [nonce, expiresAt]);
+        },
+
+        // Marks an unexpired nonce used; false when it is unknown, expired or already used
+        async useAuthNonce(nonce) {
+            const result = await query(
+                'UPDATE auth_nonces SET used_at = NOW() WHERE nonce = $1 AND used_at IS NULL AND expires_at > NOW()',
+                [nonce]
+            );
+            return result.rowCount > 0;
+        },
+
+        // Reactions
+        // Returns the new state; removedAt is when a withdrawn reaction had been made
+        async toggleReaction({ imageId, actor, fid = null, address = null }) {
+            const id = String(imageId);
+            const removed = await query('DELETE FROM reactions WHERE image_id = $1 AND actor = $2 RETURNING created_at', [id, actor]);
+            if (removed.rows.length === 0) {
+                await query(
+                    `INSERT INTO reactions (image_id, actor, fid, address) VALUES ($1, $2, $3, $4)
+                     ON CONFLICT (image_id, actor) DO NOTHING`,
+                    [id, actor, fid, address]
+                );
+            }
+            const { count } = await first('SELECT COUNT(*) AS count FROM reactions WHERE image_id = $1', [id]);
+            const reacted = removed.rows.length === 0;
+            return { reacted, count: Number(count), removedAt: reacted ? null : removed.rows[0].created_at };
+        },
+
+        // Engagement counters and ranking scores (see lib/ranking.mjs). `hot` holds
+        // ln(sum of decayed weights), so adding or removing a term is a log-sum-exp.
+        async recordEngagement({ imageId, kind, delta, weight, hotTerm }) {
+            const column = STAT_COLUMNS[kind];
+            if (!column) throw new Error(`Unknown engagement kind "${kind}"`);
+            const hot = 'image_stats.hot';
+            const term = 'CAST($4 AS DOUBLE PRECISION)';
+            // Terms more than e^50 apart do not change the larger one
+            const hotExpr = delta > 0
+                ? `CASE WHEN ${hot} IS NULL THEN ${term}
+                        WHEN ${hot} - ${term} > 50 THEN ${hot}
+                        WHEN ${term} - ${hot} > 50 THEN ${term}
+                        WHEN ${hot} >= ${term} THEN ${hot} + LN(1 + EXP(${term} - ${hot}))
+                        ELSE ${term} + LN(1 + EXP(${hot} - ${term})) END`
+                : `CASE WHEN ${hot} IS NULL OR ${term} >= ${hot} - 1e-9 THEN NULL
+                        WHEN ${hot} - ${term} > 50 THEN ${hot}
+                        ELSE ${hot} + LN(1 - EXP(${term} - ${hot})) END`;
+
+            await query(
+                `INSERT INTO image_stats (image_id, ${column}, score, hot) VALUES ($1, $5, $6, $7)
+                 ON CONFLICT (image_id) DO UPDATE SET
+                     ${column} = CASE WHEN image_stats.${column} + $2 < 0 THEN 0 ELSE image_stats.${column} + $2 END,
+                     score = CASE WHEN image_stats.score + $3 < 0 THEN 0 ELSE image_stats.score + $3 END,
+                     hot = ${hotExpr},
+                     updated_at = NOW()`,
+                [String(imageId), delta, weight * delta, hotTerm, Math.max(delta, 0), Math.max(weight * delta, 0), delta > 0 ? hotTerm : null]
+            );
+        },
+
+        getImageStats: (imageId) => first('SELECT * FROM image_stats WHERE image_id = $1', [String(imageId)]),
+
+        // { [imageId]: count } for every id, zero included
+        async getReactionCounts(imageIds) {
+            const ids = imageIds.map(String);
+            const counts = Object.fromEntries(ids.map(id => [id, 0]));
+            if (ids.length === 0) return counts;
+            const { rows } = await query(
+                `SELECT image_id, COUNT(*) AS count FROM reactions
+                 WHERE image_id IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})
+                 GROUP BY image_id`,
+                ids
+            );
+            for (const row of rows) counts[row.image_id] = Number(row.count);
+            return counts;
+        },
+
+        // The subset of imageIds the actor has reacted to
+        async listReactedImageIds(imageIds, actor) {
+            const ids = imageIds.map(String);
+            if (ids.length === 0) return [];
+            const { rows } = await query(
+                `SELECT image_id FROM reactions
+                 WHERE actor = $1 AND image_id IN (${ids.map((_, i) => `$${i + 2}`).join(', ')})`,
+                [actor, ...ids]
+            );
+            return rows.map(row => row.image_id);
+        },
+
+        // Ranked feed, 'trending' (decayed engagement) or 'top' (total engagement).
+        // Images nobody engaged with yet come last, newest first.
+        async listRankedImages({ sort, limit, offset = 0, mode, from, to }) {
+            const where = [`images.moderation_status = 'visible'`];
+            const params = [];
+            const param = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+            if (mode) where.push(`images.mode = ${param(mode)}`);
+            if (from) where.push(`images.timestamp >= ${param(from)}`);
+            if (to) where.push(`images.timestamp < ${param(to)}`);
+
+            const order = sort === 'top'
+                ? 'COALESCE(s.score, 0) DESC'
+                : '(s.hot IS NULL), s.hot DESC';
+            const { rows } = await query(
+                `SELECT images.*, s.score, s.hot FROM images
+                 LEFT JOIN image_stats s ON s.image_id = images.id
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY ${order}, images.timestamp DESC, images.id DESC
+                 LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+                params
+            );
+            return rows;
+        },
+
+        // Payment quotes - a quote moves pending -> paid -> claimed -> consumed
+        createPaymentQuote: ({ nonce, amount, treasuryAddress, expiresAt, userId = null }) => first(
+            'INSERT INTO payment_quotes (nonce, amount, treasury_address, expires_at, user_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [nonce, amount, treasuryAddress, expiresAt, userId]
+        ),
+
+        getPaymentQuote: (nonce) => first('SELECT * FROM payment_quotes WHERE nonce = $1', [nonce]),
+
+        // Atomically binds the transaction to the quote so concurrent requests cannot both use it
+        claimPaymentQuote: (nonce, txHash, fromAddress) => first(
+            `UPDATE payment_quotes
+             SET status = 'claimed', tx_hash = $2, from_address = $3
+             WHERE nonce = $1
+               AND (status = 'paid' OR (status = 'pending' AND expires_at > NOW()))
+               AND (tx_hash IS NULL OR tx_hash = $2)
+             RETURNING *`,
+            [nonce, txHash, fromAddress]
+        ),
+
+        async releasePaymentQuote(nonce) {
+            await query("UPDATE payment_quotes SET status = 'paid' WHERE nonce = $1 AND status = 'claimed'", [nonce]);
+        },
+
+        async consumePaymentQuote(nonce) {
+            await query("UPDATE payment_quotes SET status = 'consumed' WHERE nonce = $1", [nonce]);
+        },
+
+        // Payment ledger
+        getPayment: (txHash, logIndex) => first(
+            'SELECT * FROM payments WHERE tx_hash = $1 AND log_index = $2',
+            [txHash, logIndex]
+        ),
+
+        // Adds a transfer the ledger has not seen yet; returns whether it was new
+        async recordPayment(transfer, source) {
+            const result = await query(
+                `INSERT INTO payments (tx_hash, log_index, from_address, amount, block_number, source)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (tx_hash, log_index) DO NOTHING`,
+                [transfer.txHash, transfer.logIndex, transfer.fromAddress, transfer.amount.toString(), transfer.blockNumber, source]
+            );
+            return result.rowCount > 0;
+        },
+
+        // Records a transfer and reserves it for a quote. Returns null when it already
+        // paid for something else, so one transfer can never unlock two generations.
+        reservePayment: (transfer, quoteNonce, source) => first(
+            `INSERT INTO payments (tx_hash, log_index, from_address, amount, block_number, source, quote_nonce)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (tx_hash, log_index) DO UPDATE SET quote_nonce = EXCLUDED.quote_nonce
+             WHERE payments.consumed_at IS NULL
+               AND (payments.quote_nonce IS NULL OR payments.quote_nonce = EXCLUDED.quote_nonce)
+             RETURNING *`,
+            [transfer.txHash, transfer.logIndex, transfer.fromAddress, transfer.amount.toString(), transfer.blockNumber, source, quoteNonce]
+        ),
+
+        // Drops a reservation that was not used, so the transfer can pay for something else
+        async releasePayment(payment) {
+            await query(
+                'UPDATE payments SET quote_nonce = NULL WHERE tx_hash = $1 AND log_index = $2 AND quote_nonce = $3 AND consumed_at IS NULL',
+                [payment.tx_hash, payment.log_index, payment.quote_nonce]
+            );
+        },
+
+        async consumePayment(payment, imageId) {
+            const row = await first(
+                `UPDATE payments SET consumed_at = NOW(), image_id = $3
+                 WHERE tx_hash = $1 AND log_index = $2 AND consumed_at IS NULL
+                 RETURNING *`,
+                [payment.tx_hash, payment.log_index, String(imageId)]
+            );
+            if (!row) {
+                throw new Error(`Payment ${payment.tx_hash}:${payment.log_index} was already consumed`);
+            }
+            return row;
+        },
+
+        // Totals in wei, as strings
+        async getPaymentTotals() {
+            if (dialect === 'postgres') {
+                return first(`
+                    SELECT COUNT(*)::int AS payments,
+                           COUNT(consumed_at)::int AS consumed,
+                           COALESCE(SUM(amount), 0)::text AS total_amount,
+                           COALESCE(SUM(amount) FILTER (WHERE consumed_at IS NOT NULL), 0)::text AS consumed_amount
+                    FROM payments
+                `);
+            }
+            // SQLite cannot add 256-bit amounts, so sum them here
+            const { rows } = await query('SELECT amount, consumed_at FROM payments');
+            return sumPayments(rows);
+        },
+
+        async listUnconsumedPayments(createdBefore) {
+            const { rows } = await query(
+                'SELECT * FROM payments WHERE consumed_at IS NULL AND created_at < $1 ORDER BY block_number DESC NULLS LAST',
+                [createdBefore]
+            );
+            return rows;
+        },
+
+        // NFT mints; returns null when the token or the image was already recorded
+        recordMint: ({ contractAddress, tokenId, imageId, minterAddress, txHash, blockNumber }) => first(
+            `INSERT INTO nft_mints (contract_address, token_id, image_id, minter_address, tx_hash, block_number)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT DO NOTHING
+             RETURNING *`,
+            [contractAddress, tokenId.toString(), String(imageId), minterAddress, txHash, blockNumber]
+        ),
+
+        getMint: (contractAddress, imageId) => first(
+            'SELECT * FROM nft_mints WHERE contract_address = $1 AND image_id = $2',
+            [contractAddress, String(imageId)]
+        ),
+
+        // Tips; returns null when the transfer was already recorded
+        recordTip: ({ transfer, imageId, toAddress, feeAmount = 0n }) => first(
+            `INSERT INTO tips (tx_hash, log_index, image_id, from_address, to_address, amount, fee_amount, block_number)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT DO NOTHING
+             RETURNING *`,
+            [transfer.txHash, transfer.logIndex, String(imageId), transfer.fromAddress, toAddress,
+                transfer.amount.toString(), feeAmount.toString(), transfer.blockNumber]
+        ),
+
+        getTip: (txHash, logIndex) => first(
+            'SELECT * FROM tips WHERE tx_hash = $1 AND log_index = $2',
+            [txHash, logIndex]
+        ),
+
+        // { [imageId]: { count, amount } } with amounts in wei, as strings
+        async getTipTotals(imageIds) {
+            const ids = imageIds.map(String);
+            if (ids.length === 0) return {};
+            const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
+            if (dialect === 'postgres') {
+                const { rows } = await query(
+                    `SELECT image_id, COUNT(*)::int AS count, SUM(amount)::text AS amount FROM tips
+                     WHERE image_id IN (${placeholders})
+                     GROUP BY image_id`,
+                    ids
+                );
+                return sumTips(ids, rows);
+            }
+            // SQLite cannot add up wei amounts exactly
+            const { rows } = await query(`SELECT image_id, amount FROM tips WHERE image_id IN (${placeholders})`, ids);
+            return sumTips(ids, rows.map(row => ({ ...row, count: 1 })));
+        },
+
+        // Small key/value store for background jobs
+        async getState(key) {
+            const row = await first('SELECT value FROM ledger_state WHERE key = $1', [key]);
+            return row?.value ?? null;
+        },
+
+        async setState(key, value) {
+            await query(
+                'INSERT INTO ledger_state (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value',
+                [key, String(value)]
+            );
+        },
+
+        // Reports; null when this reporter already reported the image
+        createReport: ({ imageId, reporter, reason, note = null }) => first(
+            `INSERT INTO reports (image_id, reporter, reason, note) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (image_id, reporter) DO NOTHING
+             RETURNING *`,
+            [String(imageId), reporter, reason, note]
+        ),
+
+        // fidOnly: only reports from signed-in FIDs (reporters "fid:<n>")
+        async countOpenReports(imageId, { fidOnly = false } = {}) {
+            const row = await first(
+                `SELECT COUNT(*) AS count FROM reports WHERE image_id = $1 AND status = 'open'${fidOnly ? ` AND reporter LIKE 'fid:%'` : ''}`,
+                [String(imageId)]
+            );
+            return Number(row.count);
+        },
+
+        // Oldest first, so the queue is worked in order
+        listReports: ({ status, limit, offset = 0 }) => query(
+            `SELECT * FROM reports WHERE status = $1 ORDER BY created_at ASC, id ASC LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        ).then(result => result.rows),
+
+        updateReport: (id, { status, resolvedBy }) => first(
+            `UPDATE reports SET status = $2, resolved_by = $3, resolved_at = NOW() WHERE id = $1 RETURNING *`,
+            [id, status, resolvedBy]
+        ),
+
+        // Closes every open report on an image, e.g. once it has been hidden
+        async resolveImageReports(imageId, { status, resolvedBy }) {
+            const result = await query(
+                `UPDATE reports SET status = $2, resolved_by = $3, resolved_at = NOW() WHERE image_id = $1 AND status = 'open'`,
+                [String(imageId), status, resolvedBy]
+            );
+            return result.rowCount;
+        },
+
+        // Bans
+        createBan: ({ subject, reason = null, createdBy }) => first(
+            `INSERT INTO bans (subject, reason, created_by) VALUES ($1, $2, $3)
+             ON CONFLICT (subject) DO UPDATE SET reason = excluded.reason, created_by = excluded.created_by
+             RETURNING *`,
+            [subject, reason, createdBy]
+        ),
+
+        async deleteBan(subject) {
+            const result = await query('DELETE FROM bans WHERE subject = $1', [subject]);
+            return result.rowCount > 0;
+        },
+
+        listBans: () => query('SELECT * FROM bans ORDER BY created_at DESC').then(result => result.rows),
+
+        // The first ban matching any of the subjects, or null
+        async findBan(subjects) {
+            if (subjects.length === 0) return null;
+            return first(
+                `SELECT * FROM bans WHERE subject IN (${subjects.map((_, i) => `$${i + 1}`).join(', ')}) LIMIT 1`,
+                subjects
+            );
+        },
+
+        // Admin audit log
+        async addAuditEntry({ admin, action, targetType, targetId, detail = null }) {
+            await query(
+                'INSERT INTO admin_audit_log (admin, action, target_type, target_id, detail) VALUES ($1, $2, $3, $4, $5)',
+                [admin, action, targetType, String(targetId), detail === null ? null : JSON.stringify(detail)]
+            );
+        },
+
+        // Newest first; `before` is an entry id to page back from
+        async listAuditLog({ limit, before = null }) {
+            const { rows } = before === null
+                ? await query('SELECT * FROM admin_audit_log ORDER BY id DESC LIMIT $1', [limit])
+                : await query('SELECT * FROM admin_audit_log WHERE id < $2 ORDER BY id DESC LIMIT $1', [limit, before]);
+            return rows.map(row => ({ ...row, detail: row.detail ? JSON.parse(row.detail) : null }));
+        },
+
+        // Rate limits
+        // Counts a request in a fixed window, starting a new window (ending at resetAt)
+        // once the current one is over; returns the count and when the window ends
+        async hitRateLimit(bucket, resetAt, amount = 1) {
+            const row = await first(
+                `INSERT INTO rate_limits (bucket, count, reset_at) VALUES ($1, $3, $2)
+                 ON CONFLICT (bucket) DO UPDATE SET
+                     count = CASE WHEN rate_limits.reset_at <= NOW() THEN excluded.count ELSE rate_limits.count + excluded.count END,
+                     reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN excluded.reset_at ELSE rate_limits.reset_at END
+                 RETURNING count, reset_at`,
+                [bucket, resetAt, amount]
+            );
+            return { count: Number(row.count), resetAt: new Date(row.reset_at) };
+        },
+
+        // Takes a request back, as long as the window it was counted in is still current
+        async refundRateLimit(bucket, resetAt, amount = 1) {
+            await query(
+                `UPDATE rate_limits SET count = CASE WHEN count > $3 THEN count - $3 ELSE 0 END
+                 WHERE bucket = $1 AND reset_at = $2 AND count > 0`,
+                [bucket, resetAt, amount]
+            );
+        },
+
+        async pruneRateLimits() {
+            const result = await query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+            return result.rowCount;
+        },
+    };
+}
+
+// Tip totals per image from rows of { image_id, count, amount }; images without tips get zeros
+export function sumTips(imageIds, rows) {
+    const totals = Object.fromEntries(imageIds.map(id => [String(id), { count: 0, amount: 0n }]));
+    for (const row of rows) {
+        const total = totals[row.image_id];
+        if (!total) continue;
+        total.count += Number(row.count);
+        total.amount += BigInt(row.amount);
+    }
+    for (const total of Object.values(totals)) total.amount = total.amount.toString();
+    return totals;
+}
+
+export function sumPayments(rows) {
+    let total = 0n;
+    let consumed = 0n;
+    let consumedCount = 0;
+    for (const row of rows) {
+        const amount = BigInt(row.amount);
+        total += amount;
+        if (row.consumed_at) {
+            consumed += amount;
+            consumedCount++;
+        }
+    }
+    return {
+        payments: rows.length,
+        consumed: consumedCount,
+        total_amount: total.toString(),
+        consumed_amount: consumed.toString(),
+    };
+}
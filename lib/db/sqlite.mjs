@@ -0,0 +1,59 @@
+// SQLite client for the SQL repository. Queries are written with Postgres-style
+// $n placeholders and NOW(); both are translated here so the SQL can be shared.
+export async function createSqliteClient({ filename }) {
+    const { default: Database } = await import('better-sqlite3');
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.function('NOW', () => new Date().toISOString());
+
+    const statements = new Map();
+
+    function prepare(text) {
+        if (!statements.has(text)) {
+            const order = [];
+            const sql = text.replace(/\$(\d+)/g, (_, n) => {
+                order.push(parseInt(n, 10) - 1);
+                return '?';
+            });
+            statements.set(text, { stmt: db.prepare(sql), order });
+        }
+        return statements.get(text);
+    }
+
+    return {
+        dialect: 'sqlite',
+
+        async query(text, params = []) {
+            const { stmt, order } = prepare(text);
+            const values = order.map(i => toSqlite(params[i]));
+            if (stmt.reader) {
+                const rows = stmt.all(values).map(fromSqlite);
+                return { rows, rowCount: rows.length };
+            }
+            const result = stmt.run(values);
+            return { rows: [], rowCount: result.changes };
+        },
+
+        async close() {
+            db.close();
+        },
+    };
+}
+
+function toSqlite(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'bigint') return value.toString();
+    return value === undefined ? null : value;
+}
+
+// Timestamps are stored as ISO strings; hand them back as Dates like pg does
+function fromSqlite(row) {
+    for (const key of Object.keys(row)) {
+        if ((key.endsWith('_at') || key === 'timestamp') && typeof row[key] === 'string') {
+            row[key] = new Date(row[key]);
+        }
+    }
+    return row;
+}
@@ -0,0 +1,18 @@
+// Error carrying the HTTP status a route should answer with
+export class HttpError extends Error {
+    constructor(status, message, detail) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.detail = detail;
+    }
+}
+
+// A prompt or generated image that moderation keeps out of the gallery (see lib/moderation.mjs)
+export class ModerationError extends HttpError {
+    constructor(message, { reason, detail } = {}) {
+        super(422, message, detail);
+        this.name = 'ModerationError';
+        this.reason = reason;
+    }
+}
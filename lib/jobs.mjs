@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// In-process job queue with a bounded number of workers and retries.
+// A job moves queued -> running -> uploading -> done | failed; every change is
+// emitted as an 'update' event so routes can stream progress. Only errors marked
+// `transient` (see ProviderError) are retried, and only before the job is uploading.
+export function createJobQueue({ concurrency = 2, maxAttempts = 3, retryDelayMs = 1000, ttlMs = 15 * 60 * 1000 } = {}) {
+    const jobs = new Map();
+    const waiting = [];
+    let active = 0;
+
+    function enqueue(type, run) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            attempt: 0,
+            maxAttempts,
+            result: null,
+            error: null,
+            // Finer-grained progress within a status, e.g. { frame, frames } while animating
+            progress: null,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            events: new EventEmitter(),
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.settle = { resolve, reject };
+        });
+        // Callers that only poll never attach a handler; don't crash on rejection
+        job.promise.catch(() => { });
+
+        job.update = (status, fields = {}) => {
+            Object.assign(job, fields, { status, updatedAt: new Date() });
+            job.events.emit('update', describeJob(job));
+        };
+
+        jobs.set(job.id, job);
+        waiting.push({ job, run });
+        pump();
+        return job;
+    }
+
+    function pump() {
+        while (active < concurrency && waiting.length > 0) {
+            const { job, run } = waiting.shift();
+            active++;
+            execute(job, run).finally(() => {
+                active--;
+                pump();
+            });
+        }
+    }
+
+    async function execute(job, run) {
+        while (true) {
+            job.update('running', { attempt: job.attempt + 1, error: null });
+            try {
+                const result = await run(job);
+                job.update('done', { result });
+                job.settle.resolve(result);
+                break;
+            } catch (err) {
+                // Anything else (client errors, bugs, database failures) would fail the same way
+                // again; and once uploading, the image may already be stored
+                const retryable = err.transient === true && job.status !== 'uploading';
+                if (retryable && job.attempt < maxAttempts) {
+                    console.log(`⏳ Job ${job.id} attempt ${job.attempt}/${maxAttempts} failed, retrying:`, err.message);
+                    await new Promise(r => setTimeout(r, retryDelayMs * job.attempt));
+                    continue;
+                }
+                job.update('failed', { error: { message: err.message, status: err.status || 500, detail: err.detail } });
+                job.settle.reject(err);
+                break;
+            }
+        }
+        setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+    }
+
+    return {
+        enqueue,
+        get: (id) => jobs.get(id) || null,
+        stats: () => ({ active, waiting: waiting.length, concurrency }),
+    };
+}
+
+// Public view of a job, safe to send to clients
+export function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempt: job.attempt,
+        maxAttempts: job.maxAttempts,
+        result: job.result,
+        error: job.error,
+        progress: job.progress,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    };
+}
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { fetch } from 'undici';
+import { ModerationError } from './errors.mjs';
+
+// Moderation before anything reaches the gallery:
+//   - prompts are checked against a blocklist and, optionally, a classifier
+//     (OpenAI's moderation endpoint); a hit rejects the request up front
+//   - generated images can be checked by the same classifier; flagged images
+//     are stored hidden, and images it could not check wait for review
+//   - with MODERATION_REVIEW every new image waits for review
+// An image's moderation status is visible, pending or hidden; only visible
+// images are listed or shared.
+
+export function createModeration({ env = process.env } = {}) {
+    const blocklist = loadBlocklist(env);
+    const classifier = (env.MODERATION_CLASSIFIER || 'none').toLowerCase();
+    const checkImages = env.MODERATION_IMAGE_CHECK === 'TRUE';
+    const review = env.MODERATION_REVIEW === 'TRUE';
+
+    if (!['none', 'openai'].includes(classifier)) {
+        throw new Error(`Unknown MODERATION_CLASSIFIER "${classifier}" (expected none or openai)`);
+    }
+    if (checkImages && classifier === 'none') {
+        throw new Error('MODERATION_IMAGE_CHECK needs a classifier (set MODERATION_CLASSIFIER=openai)');
+    }
+    const classify = classifier === 'openai' ? createOpenAIClassifier(env) : null;
+
+    // Throws a ModerationError for prompts that may not be generated
+    async function checkPrompt(prompt) {
+        if (blocklist.some(entry => entry.test(normalize(prompt)) || entry.test(unleet(normalize(prompt))))) {
+            throw new ModerationError('This prompt contains words that are not allowed here. Try a different prompt.', { reason: 'blocklist' });
+        }
+        if (!classify) return;
+
+        let result;
+        try {
+            result = await classify([{ type: 'text', text: prompt }]);
+        } catch (err) {
+            // The provider's own safety filters and the image check still apply
+            console.error('⚠️ Prompt classifier unavailable, allowing prompt:', err.message);
+            return;
+        }
+        if (result.flagged) {
+            throw new ModerationError(`This prompt was flagged (${result.categories.join(', ')}). Try a different prompt.`, {
+                reason: `classifier:${result.categories.join(',')}`
+            });
+        }
+    }
+
+    // Moderation status for a generated image: { status, reason }
+    async function checkImage({ data, mimeType }) {
+        if (checkImages) {
+            try {
+                const result = await classify([{ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } }]);
+                if (result.flagged) return { status: 'hidden', reason: `classifier:${result.categories.join(',')}` };
+            } catch (err) {
+                console.error('⚠️ Image classifier unavailable, holding image for review:', err.message);
+                return { status: 'pending', reason: 'image check unavailable' };
+            }
+        }
+        return review ? { status: 'pending', reason: 'review' } : { status: 'visible', reason: null };
+    }
+
+    return { checkPrompt, checkImage };
+}
+
+// OpenAI /v1/moderations (omni models take text and images); resolves to the flagged categories
+function createOpenAIClassifier(env) {
+    const apiKey = env.MODERATION_API_KEY || env.OPENAI_API_KEY;
+    const apiBase = env.MODERATION_API_BASE || env.OPENAI_API_BASE || 'https://api.openai.com';
+    const model = env.MODERATION_MODEL || 'omni-moderation-latest';
+    const timeoutMs = parseInt(env.MODERATION_TIMEOUT_MS || '10000', 10);
+    if (!apiKey) {
+        throw new Error('MODERATION_API_KEY or OPENAI_API_KEY is required for the openai moderation classifier');
+    }
+
+    return async function classify(input) {
+        const response = await fetch(`${apiBase}/v1/moderations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+            body: JSON.stringify({ model, input }),
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!response.ok) {
+            throw new Error(`Moderation API error ${response.status}: ${await response.text()}`);
+        }
+        const result = (await response.json()).results?.[0];
+        if (!result) throw new Error('Moderation API returned no result');
+        return {
+            flagged: Boolean(result.flagged),
+            categories: Object.entries(result.categories || {}).filter(([, hit]) => hit).map(([name]) => name),
+        };
+    };
+}
+
+// Blocklist entries from MODERATION_BLOCKLIST (comma separated) and
+// MODERATION_BLOCKLIST_FILE (one per line, # comments). Plain entries match
+// whole words or phrases, ignoring case and punctuation; /.../ entries are regexes.
+function loadBlocklist(env) {
+    const entries = (env.MODERATION_BLOCKLIST || '').split(',');
+    if (env.MODERATION_BLOCKLIST_FILE) {
+        entries.push(...fs.readFileSync(env.MODERATION_BLOCKLIST_FILE, 'utf8').split('\n').filter(line => !line.trim().startsWith('#')));
+    }
+    return entries.map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const regex = /^\/(.+)\/$/.exec(entry);
+        if (regex) return new RegExp(regex[1], 'i');
+        const phrase = normalize(entry).split(' ').map(escapeRegExp).join(' ');
+        return new RegExp(`(^| )${phrase}( |$)`);
+    });
+}
+
+function normalize(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}@$]+/gu, ' ').trim();
+}
+
+// Undo common character swaps (pr0n, @ss) so they still match
+function unleet(text) {
+    const swaps = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+    return text.replace(/[013457@$]/g, c => swaps[c]);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
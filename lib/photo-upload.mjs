@@ -0,0 +1,74 @@
+import express from 'express';
+import sharp from 'sharp';
+import { Response } from 'undici';
+import { HttpError } from './errors.mjs';
+import { sniffImageType } from './assets.mjs';
+
+// Photos users upload themselves ("degenify my photo"). The multipart body
+// arrives as a buffer already capped by the route's body limit; the file must
+// be a JPEG, PNG or WebP by its bytes. Only a re-encoded, downscaled copy is
+// passed on: sharp leaves EXIF (GPS, camera, timestamps) and other metadata
+// out of its output unless asked to keep it.
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Decompression bombs: refuse to decode anything larger than this
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+export function createPhotoUploads({ env = process.env } = {}) {
+    const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || String(10 * 1024 * 1024), 10);
+    const maxDimension = parseInt(env.UPLOAD_MAX_DIMENSION || '1024', 10);
+    const rawBody = express.raw({ type: 'multipart/form-data', limit: maxBytes });
+
+    // Body middleware for upload routes; oversized uploads get a JSON 413 rather than Express's error page
+    function body(req, res, next) {
+        rawBody(req, res, (err) => {
+            if (err?.type === 'entity.too.large') {
+                return res.status(413).json({ error: 'Photo too large', detail: `Uploads are limited to ${maxBytes} bytes` });
+            }
+            next(err);
+        });
+    }
+
+    // { fields, photo } from a multipart/form-data body; text fields are returned as strings
+    async function readForm(req, fileField = 'photo') {
+        if (!Buffer.isBuffer(req.body)) {
+            throw new HttpError(400, 'Expected a multipart/form-data upload', `Send the photo as the "${fileField}" field of a form`);
+        }
+        let form;
+        try {
+            form = await new Response(req.body, { headers: { 'content-type': req.get('content-type') } }).formData();
+        } catch {
+            throw new HttpError(400, 'Invalid upload', 'The form data could not be read');
+        }
+
+        const fields = {};
+        let photo = null;
+        for (const [name, value] of form) {
+            if (typeof value === 'string') fields[name] = value;
+            else if (name === fileField && !photo) photo = Buffer.from(await value.arrayBuffer());
+        }
+        if (!photo?.length) throw new HttpError(400, `${fileField} required`, 'Attach a JPEG, PNG or WebP photo');
+        return { fields, photo };
+    }
+
+    // Downscaled copy of an uploaded photo without its metadata: { data, mimeType, width, height }
+    async function normalize(data) {
+        const type = sniffImageType(data);
+        if (!ACCEPTED_TYPES.includes(type)) {
+            throw new HttpError(400, 'Unsupported photo', `Expected a JPEG, PNG or WebP image${type ? `, got ${type}` : ''}`);
+        }
+        try {
+            // rotate() applies the EXIF orientation before the EXIF block is dropped
+            const image = sharp(data, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+            const encoded = type === 'image/png' ? image.png() : type === 'image/webp' ? image.webp({ quality: 90 }) : image.jpeg({ quality: 90 });
+            const { data: output, info } = await encoded.toBuffer({ resolveWithObject: true });
+            return { data: output, mimeType: type, width: info.width, height: info.height };
+        } catch (err) {
+            throw new HttpError(400, 'Unsupported photo', `The image could not be processed: ${err.message}`);
+        }
+    }
+
+    return { body, readForm, normalize };
+}
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { HttpError } from './errors.mjs';
+
+// Style presets: the characters and modes users pick from. Each preset has
+//   id               short slug, stored as the image's mode (max 16 characters)
+//   label            name shown on the toggle
+//   source           "base-image" (generate from baseImage), "pfp" (the user's profile picture),
+//                    "upload" (a photo the user uploads) or "remix" (an image from the gallery)
+//   baseImage        base image id (file in public/) for base-image presets; registered with the asset registry
+//   icon             toggle icon URL; defaults to the base image
+//   prompt           template (a string, or an array of lines) with {prompt} where the user's text goes
+//   maxPromptLength  longest prompt accepted
+//   price            optional DEGEN amount charged per generation when payments are on
+//   placeholder      optional prompt box placeholder
+// The catalog is presets.json, or PRESETS_FILE; adding a character is a change there.
+const PRESET_ID = /^[a-z0-9-]{1,16}$/;
+const SOURCES = ['base-image', 'pfp', 'upload', 'remix'];
+
+export function createPresetRegistry({ env = process.env, rootDir, assets }) {
+    const file = env.PRESETS_FILE || path.join(rootDir, 'presets.json');
+    const presets = new Map();
+
+    for (const entry of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+        const preset = validatePreset(entry);
+        if (presets.has(preset.id)) throw new Error(`Duplicate preset "${preset.id}" in ${file}`);
+        if (preset.baseImage) assets.register(preset.baseImage);
+        presets.set(preset.id, preset);
+    }
+    if (presets.size === 0) throw new Error(`No presets in ${file}`);
+
+    // The preset for a request's preset id; throws 400 for unknown ids and non-string or over-long prompts
+    function resolve(id, prompt, { source } = {}) {
+        if (typeof prompt !== 'string') {
+            throw new HttpError(400, 'Invalid prompt', 'prompt must be a string');
+        }
+        const preset = presets.get(id);
+        if (!preset || (source && preset.source !== source)) {
+            const ids = [...presets.values()].filter(p => !source || p.source === source).map(p => p.id);
+            throw new HttpError(400, 'Unknown preset', `preset must be one of: ${ids.join(', ')}`);
+        }
+        if (prompt.length > preset.maxPromptLength) {
+            throw new HttpError(400, 'Prompt too long', `The ${preset.label} preset takes at most ${preset.maxPromptLength} characters`);
+        }
+        return preset;
+    }
+
+    // The base-image preset that uses a base image id (for requests that name the image)
+    function forBaseImage(id) {
+        const asset = assets.resolve(id);
+        return [...presets.values()].find(p => p.source === 'base-image' && p.baseImage === asset.id) || null;
+    }
+
+    return {
+        list: () => [...presets.values()],
+        forBaseImage,
+        get: (id) => presets.get(id) || null,
+        resolve,
+        render: (preset, prompt) => preset.prompt.replace(/\{prompt\}/g, () => prompt),
+    };
+}
+
+function validatePreset(entry) {
+    const fail = (message) => { throw new Error(`Preset ${JSON.stringify(entry?.id ?? entry)}: ${message}`); };
+    if (!PRESET_ID.test(entry?.id || '')) fail('id must be 1-16 lowercase letters, digits or dashes');
+    if (!entry.label) fail('label is required');
+    if (!SOURCES.includes(entry.source)) fail(`source must be one of: ${SOURCES.join(', ')}`);
+    if (entry.source === 'base-image' && !entry.baseImage) fail('baseImage is required');
+    const prompt = Array.isArray(entry.prompt) ? entry.prompt.join('\n') : entry.prompt;
+    if (typeof prompt !== 'string' || !prompt.includes('{prompt}')) fail('prompt must be a template containing {prompt}');
+    if (!Number.isInteger(entry.maxPromptLength) || entry.maxPromptLength < 1) fail('maxPromptLength must be a positive integer');
+    if (entry.price !== undefined && entry.price !== null && !/^\d+(\.\d{1,18})?$/.test(String(entry.price))) {
+        fail('price must be a DEGEN amount like "50"');
+    }
+
+    return {
+        id: entry.id,
+        label: entry.label,
+        source: entry.source,
+        baseImage: entry.baseImage || null,
+        icon: entry.icon || (entry.baseImage ? `/${entry.baseImage}` : null),
+        prompt,
+        maxPromptLength: entry.maxPromptLength,
+        price: entry.price !== undefined && entry.price !== null ? String(entry.price) : null,
+        placeholder: entry.placeholder || null,
+    };
+}
@@ -0,0 +1,36 @@
+import { fetch } from 'undici';
+import { HttpError } from '../errors.mjs';
+
+// Raised by image providers; `status` is the HTTP status the route should answer with.
+// `transient` failures (network errors, outages, rate limits) are worth retrying.
+export class ProviderError extends HttpError {
+    constructor(message, { status = 502, detail, transient = false } = {}) {
+        super(status, message, detail);
+        this.name = 'ProviderError';
+        this.transient = transient;
+    }
+}
+
+// The provider refused the prompt or withheld the image for safety reasons.
+// Not retried; `reason` is the provider's own code (e.g. Gemini's finishReason).
+export class SafetyBlockError extends ProviderError {
+    constructor(message, { reason, detail } = {}) {
+        super(message, { status: 422, detail });
+        this.name = 'SafetyBlockError';
+        this.reason = reason;
+    }
+}
+
+// Upstream statuses that may well succeed on a retry
+export function isTransientStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// fetch for provider calls: network failures become transient ProviderErrors
+export async function providerFetch(url, init) {
+    try {
+        return await fetch(url, init);
+    } catch (err) {
+        throw new ProviderError('Could not reach the image provider', { detail: err.cause?.message || err.message, transient: true });
+    }
+}
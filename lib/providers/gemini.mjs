@@ -0,0 +1,94 @@
+import { ProviderError, SafetyBlockError, isTransientStatus, providerFetch } from './errors.mjs';
+
+// finishReasons for candidates the model withheld instead of answering
+const SAFETY_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY', 'IMAGE_PROHIBITED_CONTENT'];
+const RECITATION_FINISH_REASONS = ['RECITATION', 'IMAGE_RECITATION'];
+
+// Google Gemini image model via generateContent
+export function createGeminiProvider({ apiKey, apiBase, modelId }) {
+    if (!apiKey) {
+        throw new Error('GOOGLE_API_KEY is required for the gemini image provider');
+    }
+
+    return {
+        name: 'gemini',
+        model: modelId,
+
+        async generate({ prompt, image }) {
+            const url = `${apiBase}/v1beta/models/${modelId}:generateContent`;
+            const requestBody = {
+                contents: [
+                    {
+                        parts: [
+                            { text: prompt },
+                            {
+                                inlineData: {
+                                    mimeType: image.mimeType,
+                                    data: image.data.toString('base64'),
+                                },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            const aiRes = await providerFetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+                body: JSON.stringify(requestBody),
+            });
+
+            if (!aiRes.ok) {
+                const errText = await aiRes.text();
+                throw new ProviderError('Google API error', { detail: errText, transient: isTransientStatus(aiRes.status) });
+            }
+
+            const data = await aiRes.json();
+            const blockReason = data?.promptFeedback?.blockReason;
+            if (blockReason) {
+                throw new SafetyBlockError('Gemini refused this prompt. Try describing the situation differently.', {
+                    reason: blockReason,
+                    detail: data.promptFeedback
+                });
+            }
+
+            const inline = findInlineImage(data);
+            if (!inline) {
+                const candidate = data?.candidates?.[0];
+                const finishReason = candidate?.finishReason;
+                if (SAFETY_FINISH_REASONS.includes(finishReason)) {
+                    throw new SafetyBlockError('Gemini blocked this image for safety reasons. Try a different prompt.', {
+                        reason: finishReason,
+                        detail: candidate.safetyRatings
+                    });
+                }
+                if (RECITATION_FINISH_REASONS.includes(finishReason)) {
+                    throw new SafetyBlockError('Gemini blocked this image as too close to existing material. Try a different prompt.', {
+                        reason: finishReason
+                    });
+                }
+                // A text-only answer is usually the model explaining why it won't draw
+                const text = (candidate?.content?.parts || []).map(p => p.text).filter(Boolean).join(' ');
+                throw new ProviderError(text ? 'Gemini answered with text instead of an image' : 'No image returned', {
+                    detail: text || { finishReason, data },
+                    transient: true
+                });
+            }
+
+            return {
+                data: Buffer.from(inline.data, 'base64'),
+                mimeType: inline.mimeType || inline.mime_type || 'image/png',
+            };
+        },
+    };
+}
+
+// The image part is not always first, and the REST API has used both casings
+function findInlineImage(data) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    for (const p of parts) {
+        if (p.inline_data?.data) return p.inline_data;
+        if (p.inlineData?.data) return p.inlineData;
+    }
+    return null;
+}
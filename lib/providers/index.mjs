@@ -0,0 +1,37 @@
+import { createGeminiProvider } from './gemini.mjs';
+import { createOpenAIProvider } from './openai.mjs';
+import { createMockProvider } from './mock.mjs';
+
+export { ProviderError, SafetyBlockError } from './errors.mjs';
+
+// Picks the image provider from IMAGE_PROVIDER (gemini | openai | mock).
+// Without it, Gemini is used when GOOGLE_API_KEY is set and the mock otherwise.
+export function createImageProvider(env = process.env) {
+    const name = (env.IMAGE_PROVIDER || (env.GOOGLE_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+
+    switch (name) {
+        case 'gemini': {
+            let modelId = env.MODEL_ID || 'gemini-2.5-flash-image';
+            // Backwards compatibility: map deprecated preview model to the current image model
+            if (modelId === 'gemini-2.5-flash-image-preview') {
+                modelId = 'gemini-2.5-flash-image';
+            }
+            return createGeminiProvider({
+                apiKey: env.GOOGLE_API_KEY,
+                apiBase: env.GOOGLE_API_BASE || 'https://generativelanguage.googleapis.com',
+                modelId,
+            });
+        }
+        case 'openai':
+            return createOpenAIProvider({
+                apiKey: env.OPENAI_API_KEY,
+                apiBase: env.OPENAI_API_BASE || 'https://api.openai.com',
+                modelId: env.OPENAI_IMAGE_MODEL || 'gpt-image-1',
+                size: env.OPENAI_IMAGE_SIZE,
+            });
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown IMAGE_PROVIDER "${name}" (expected gemini, openai or mock)`);
+    }
+}
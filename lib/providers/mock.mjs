@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+const MAX_SIZE = 1024;
+
+// Offline provider: stamps the prompt onto the input image. The same input and
+// prompt always give the same output, so it is safe to use in development and tests.
+export function createMockProvider() {
+    return {
+        name: 'mock',
+        model: 'mock',
+
+        async generate({ prompt, image }) {
+            const hash = crypto.createHash('sha256').update(prompt).digest();
+            const hue = hash[0] % 360;
+
+            const base = sharp(image.data).resize(MAX_SIZE, MAX_SIZE, { fit: 'inside', withoutEnlargement: true });
+            const { data: resized, info } = await base.png().toBuffer({ resolveWithObject: true });
+
+            const data = await sharp(resized)
+                .modulate({ hue })
+                .composite([{ input: promptBanner(prompt, info.width, info.height), top: 0, left: 0 }])
+                .png()
+                .toBuffer();
+
+            return { data, mimeType: 'image/png' };
+        },
+    };
+}
+
+// Translucent band along the bottom with the prompt's last line(s) of text
+function promptBanner(prompt, width, height) {
+    const fontSize = Math.max(14, Math.round(width / 32));
+    const charsPerLine = Math.max(10, Math.floor(width / (fontSize * 0.6)));
+    const words = prompt.replace(/\s+/g, ' ').trim().split(' ');
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+        if ((line + ' ' + word).trim().length > charsPerLine && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = (line + ' ' + word).trim();
+        }
+    }
+    if (line) lines.push(line);
+    const shown = lines.slice(-3);
+
+    const lineHeight = Math.round(fontSize * 1.3);
+    const bandHeight = lineHeight * (shown.length + 1) + fontSize;
+    const text = shown.map((l, i) =>
+        `<text x="${width / 2}" y="${height - bandHeight + lineHeight * (i + 2)}">${escapeXml(l)}</text>`
+    ).join('');
+
+    const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <rect x="0" y="${height - bandHeight}" width="${width}" height="${bandHeight}" fill="#6b21a8" fill-opacity="0.75"/>
+        <text x="${width / 2}" y="${height - bandHeight + lineHeight}" font-family="sans-serif" font-size="${Math.round(fontSize * 0.7)}" font-weight="bold" fill="#e9d5ff" text-anchor="middle">MOCK DEGENIFY</text>
+        <g font-family="sans-serif" font-size="${fontSize}" fill="#ffffff" text-anchor="middle">${text}</g>
+    </svg>`;
+    return Buffer.from(svg);
+}
+
+function escapeXml(value) {
+    return value.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
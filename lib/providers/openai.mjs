@@ -0,0 +1,62 @@
+import { FormData } from 'undici';
+import { ProviderError, SafetyBlockError, isTransientStatus, providerFetch } from './errors.mjs';
+
+// Any OpenAI-compatible /v1/images/edits endpoint
+export function createOpenAIProvider({ apiKey, apiBase, modelId, size }) {
+    if (!apiKey) {
+        throw new Error('OPENAI_API_KEY is required for the openai image provider');
+    }
+
+    return {
+        name: 'openai',
+        model: modelId,
+
+        async generate({ prompt, image }) {
+            const extension = image.mimeType.split('/')[1] || 'png';
+            const form = new FormData();
+            form.append('model', modelId);
+            form.append('prompt', prompt);
+            form.append('n', '1');
+            if (size) form.append('size', size);
+            // gpt-image models always answer with base64; dall-e models need asking
+            if (modelId.startsWith('dall-e')) form.append('response_format', 'b64_json');
+            form.append('image', new Blob([image.data], { type: image.mimeType }), `input.${extension}`);
+
+            const aiRes = await providerFetch(`${apiBase}/v1/images/edits`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${apiKey}` },
+                body: form,
+            });
+
+            if (!aiRes.ok) {
+                const errText = await aiRes.text();
+                // Rejected by OpenAI's own moderation
+                if (/"code":\s*"(moderation_blocked|content_policy_violation)"/.test(errText)) {
+                    throw new SafetyBlockError('OpenAI refused this prompt for safety reasons. Try a different prompt.', {
+                        reason: 'moderation_blocked',
+                        detail: errText
+                    });
+                }
+                throw new ProviderError('OpenAI API error', { detail: errText, transient: isTransientStatus(aiRes.status) });
+            }
+
+            const data = await aiRes.json();
+            const result = data?.data?.[0];
+            if (result?.b64_json) {
+                return { data: Buffer.from(result.b64_json, 'base64'), mimeType: 'image/png' };
+            }
+            if (result?.url) {
+                const imageRes = await providerFetch(result.url);
+                if (!imageRes.ok) {
+                    throw new ProviderError('Failed to download generated image', { detail: result.url, transient: isTransientStatus(imageRes.status) });
+                }
+                return {
+                    data: Buffer.from(await imageRes.arrayBuffer()),
+                    mimeType: imageRes.headers.get('content-type') || 'image/png',
+                };
+            }
+
+            throw new ProviderError('No image returned', { detail: data, transient: true });
+        },
+    };
+}
@@ -0,0 +1,90 @@
+// Generation quotas and burst limits. Signed-in users are counted per FID or
+// wallet, everyone else per IP with a stricter daily limit. Every request also
+// counts toward its IP's burst limit and daily cap, so signing in with fresh
+// wallets does not multiply what one client can generate. Counters are
+// fixed windows in the database, so every instance sharing it enforces the
+// same limits. Daily windows end at UTC midnight.
+const DAY_MS = 86400000;
+
+// limits: { [route]: { daily, anonDaily, ipDaily, burst } }; a limit of 0 is off
+export function createQuota({ db, limits, burstWindowMs = 60000 }) {
+    // The counters a request draws from; burst first so a burst of rejected
+    // requests never eats into the daily quota
+    function bucketsFor(route, { user, ip, daily }) {
+        const rule = limits[route];
+        if (!rule) throw new Error(`No quota configured for route "${route}"`);
+        const who = user ? user.id : `ip:${ip}`;
+        const now = Date.now();
+        const buckets = [];
+        const burstReset = new Date(now + burstWindowMs);
+        const dailyReset = new Date((Math.floor(now / DAY_MS) + 1) * DAY_MS);
+        if (rule.burst > 0) {
+            buckets.push({ name: 'burst', bucket: `${route}:burst:${who}`, limit: rule.burst, windowMs: burstWindowMs, resetAt: burstReset });
+            if (user) {
+                buckets.push({ name: 'burst', bucket: `${route}:burst:ip:${ip}`, limit: rule.burst, windowMs: burstWindowMs, resetAt: burstReset });
+            }
+        }
+        const dailyLimit = user ? rule.daily : rule.anonDaily;
+        if (daily && dailyLimit > 0) {
+            buckets.push({ name: 'daily', bucket: `${route}:daily:${who}`, limit: dailyLimit, windowMs: DAY_MS, resetAt: dailyReset });
+        }
+        if (daily && rule.ipDaily > 0) {
+            buckets.push({ name: 'ip-daily', bucket: `${route}:ip-daily:ip:${ip}`, limit: rule.ipDaily, windowMs: DAY_MS, resetAt: dailyReset });
+        }
+        return buckets;
+    }
+
+    // Count a request; `daily: false` only applies the burst limit (e.g. paid generations).
+    // A request for several images (`cost`) is one burst hit but `cost` daily generations.
+    async function consume(route, { user = null, ip, daily = true, cost = 1 }) {
+        const usage = { allowed: true, retryAfter: 0, limits: [] };
+        for (const { name, bucket, limit, windowMs, resetAt } of bucketsFor(route, { user, ip, daily })) {
+            const amount = name === 'burst' ? 1 : cost;
+            const hit = await db.hitRateLimit(bucket, resetAt, amount);
+            // A refused multi-image request takes nothing, so a smaller one can still use what is left
+            const refused = hit.count > limit;
+            if (refused && amount > 1) await db.refundRateLimit(bucket, hit.resetAt, amount);
+            const used = refused && amount > 1 ? hit.count - amount : hit.count;
+            usage.limits.push({ name, bucket, limit, windowMs, amount, remaining: Math.max(limit - used, 0), resetAt: hit.resetAt });
+            if (refused) {
+                // Daily counters already taken for this request are given back too
+                for (const taken of usage.limits.slice(0, -1)) {
+                    if (taken.name !== 'burst') await db.refundRateLimit(taken.bucket, taken.resetAt, taken.amount);
+                }
+                usage.allowed = false;
+                usage.retryAfter = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 1);
+                break;
+            }
+        }
+        return usage;
+    }
+
+    // Give back the daily generations of a request that produced nothing (or `amount` of them)
+    async function refund(usage, amount) {
+        for (const limit of usage.limits) {
+            if (limit.name !== 'burst') await db.refundRateLimit(limit.bucket, limit.resetAt, amount ?? limit.amount);
+        }
+    }
+
+    return { consume, refund, prune: () => db.pruneRateLimits() };
+}
+
+// RateLimit-* headers (IETF draft) for the tightest limit, plus Retry-After when refused
+export function rateLimitHeaders(usage) {
+    if (usage.limits.length === 0) return {};
+    const tightest = usage.limits.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    const headers = {
+        'RateLimit-Policy': usage.limits.map(l => `${l.limit};w=${Math.round(l.windowMs / 1000)}`).join(', '),
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(Math.max(Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000), 0)),
+    };
+    if (!usage.allowed) headers['Retry-After'] = String(usage.retryAfter);
+    return headers;
+}
+
+// What the client shows: the tightest daily quota, or null when there is none
+export function describeQuota(usage) {
+    const daily = usage.limits.filter(l => l.name !== 'burst').reduce((a, b) => (!a || b.remaining < a.remaining ? b : a), null);
+    return daily ? { limit: daily.limit, remaining: daily.remaining, resetAt: daily.resetAt.toISOString() } : null;
+}
@@ -0,0 +1,46 @@
+// Engagement ranking for the trending and top feeds. Every reaction, share,
+// download and embed view updates the image's row in image_stats as it happens:
+//   score - weighted total of all events (top)
+//   hot   - ln of the weighted events, each decayed by its age (trending)
+// `hot` is kept relative to a fixed epoch, so ordering by it equals ordering by
+// the decayed score at any moment and nothing has to be recomputed over time.
+// Anonymous events count once per viewer per image within dedupeWindowMs; the
+// marks live in rate_limits, so every instance sharing the database agrees.
+const RANKING_EPOCH = Date.UTC(2025, 0, 1);
+
+export const ENGAGEMENT_KINDS = ['reaction', 'share', 'download', 'view'];
+
+export function createRanking({ db, weights, halfLifeHours = 24, dedupeWindowMs = 24 * 3600000 }) {
+    // Time constant of the exponential decay, in ms
+    const tau = (halfLifeHours * 3600000) / Math.LN2;
+
+    // Count an event (or take one back with undo) at time `at`
+    async function record(imageId, kind, { at = new Date(), undo = false } = {}) {
+        if (!ENGAGEMENT_KINDS.includes(kind)) throw new Error(`Unknown engagement kind "${kind}"`);
+        const weight = weights[kind];
+        await db.recordEngagement({
+            imageId,
+            kind,
+            delta: undo ? -1 : 1,
+            weight,
+            hotTerm: (new Date(at).getTime() - RANKING_EPOCH) / tau + Math.log(weight)
+        });
+    }
+
+    // Count an event unless this viewer (e.g. "ip:<address>") already caused one recently
+    async function recordOnce(imageId, kind, viewer) {
+        const mark = await db.hitRateLimit(`engagement:${kind}:${imageId}:${viewer}`, new Date(Date.now() + dedupeWindowMs));
+        if (mark.count === 1) await record(imageId, kind);
+    }
+
+    // Fire-and-forget for request handlers: ranking must never fail a response
+    function track(imageId, kind, options) {
+        record(imageId, kind, options).catch(err => console.error(`Failed to record ${kind} for ${imageId}:`, err));
+    }
+
+    function trackOnce(imageId, kind, viewer) {
+        recordOnce(imageId, kind, viewer).catch(err => console.error(`Failed to record ${kind} for ${imageId}:`, err));
+    }
+
+    return { record, recordOnce, track, trackOnce };
+}
@@ -0,0 +1,207 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+import { HttpError } from './errors.mjs';
+import { sniffImageType } from './assets.mjs';
+
+// Fetches user-supplied image URLs (PFPs) without letting them reach inside
+// our network: only http(s) on public addresses, checked when connecting so
+// DNS rebinding cannot slip past; every redirect is checked again; the body is
+// capped in bytes and time and must really be an image. Recently fetched
+// images are cached by URL and revalidated with their ETag.
+
+// Where Farcaster profile pictures are served from, for PFP_ALLOWED_HOSTS=farcaster
+export const FARCASTER_IMAGE_HOSTS = [
+    'imagedelivery.net',
+    '*.imagedelivery.net',
+    'i.imgur.com',
+    'res.cloudinary.com',
+    'openseauserdata.com',
+    '*.seadn.io',
+    'lh3.googleusercontent.com',
+    '*.ipfs.w3s.link',
+    '*.ipfs.dweb.link',
+    'ipfs.decentralized-content.com',
+    'tba-mobile.mypinata.cloud',
+    '*.supercast.xyz',
+    'wrpcd.net',
+];
+
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return !BLOCKED.check(mapped[1], 'ipv4');
+    return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+export function createRemoteImageFetcher({ env = process.env } = {}) {
+    const maxBytes = parseInt(env.PFP_MAX_BYTES || String(5 * 1024 * 1024), 10);
+    const timeoutMs = parseInt(env.PFP_FETCH_TIMEOUT_MS || '10000', 10);
+    const maxRedirects = parseInt(env.PFP_MAX_REDIRECTS || '3', 10);
+    const cacheTtlMs = parseInt(env.PFP_CACHE_TTL_MS || '600000', 10);
+    const cacheMaxBytes = parseInt(env.PFP_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10);
+    // Only for local development, e.g. PFPs served by a dev server
+    const allowPrivate = env.PFP_ALLOW_PRIVATE_HOSTS === 'TRUE';
+    const allowedHosts = (env.PFP_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+        .flatMap(h => (h === 'farcaster' ? FARCASTER_IMAGE_HOSTS : [h]));
+
+    // Resolve and check the address in the same lookup the connection uses
+    const dispatcher = new Agent({
+        connect: {
+            lookup(hostname, options, callback) {
+                dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+                    if (err) return callback(err);
+                    const blocked = addresses.find(a => !allowPrivate && !isPublicAddress(a.address));
+                    if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EBLOCKED' }));
+                    if (options.all) return callback(null, addresses);
+                    callback(null, addresses[0].address, addresses[0].family);
+                });
+            }
+        }
+    });
+
+    // url -> { etag, data, mimeType, fetchedAt }; Map order doubles as LRU order
+    const cache = new Map();
+    let cacheBytes = 0;
+
+    // Throws 400 for URLs we will not fetch; cheap enough to call before queueing work
+    function checkUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            throw new HttpError(400, 'Invalid image URL', 'pfpUrl must be an absolute http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new HttpError(400, 'Invalid image URL', 'Only http and https image URLs are supported');
+        }
+        if (url.username || url.password) {
+            throw new HttpError(400, 'Invalid image URL', 'Image URLs may not contain credentials');
+        }
+        const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (net.isIP(host) && !allowPrivate && !isPublicAddress(host)) {
+            throw new HttpError(400, 'Image URL not allowed', 'Images must come from a public host');
+        }
+        if (allowedHosts.length && !allowedHosts.some(pattern => matchesHost(host, pattern))) {
+            throw new HttpError(400, 'Image URL not allowed', `${host} is not an allowed image host`);
+        }
+        return url;
+    }
+
+    // { data, mimeType } for an image URL, following at most maxRedirects redirects
+    async function fetchImage(value) {
+        const cached = cache.get(value);
+        if (cached && Date.now() - cached.fetchedAt < cacheTtlMs) {
+            touch(value, cached);
+            return { data: cached.data, mimeType: cached.mimeType, cached: true };
+        }
+
+        const signal = AbortSignal.timeout(timeoutMs);
+        let url = checkUrl(value);
+        try {
+            for (let redirects = 0; ; redirects++) {
+                const headers = { accept: ACCEPTED_TYPES.join(', ') };
+                if (cached?.etag && redirects === 0) headers['if-none-match'] = cached.etag;
+                const response = await fetch(url, { dispatcher, redirect: 'manual', signal, headers });
+
+                if ([301, 302, 303, 307, 308].includes(response.status)) {
+                    await response.body?.cancel();
+                    if (redirects >= maxRedirects) throw new HttpError(400, 'Failed to fetch PFP image', `More than ${maxRedirects} redirects`);
+                    url = checkUrl(new URL(response.headers.get('location') || '', url).href);
+                    continue;
+                }
+                if (response.status === 304 && cached) {
+                    await response.body?.cancel();
+                    cached.fetchedAt = Date.now();
+                    touch(value, cached);
+                    return { data: cached.data, mimeType: cached.mimeType, cached: true };
+                }
+                if (!response.ok) {
+                    await response.body?.cancel();
+                    // The remote host failing may be temporary; a missing image is not
+                    throw new HttpError(response.status >= 500 ? 502 : 400, 'Failed to fetch PFP image', `The image host answered ${response.status}`);
+                }
+
+                const data = await readLimited(response);
+                const mimeType = sniffImageType(data);
+                if (!ACCEPTED_TYPES.includes(mimeType)) {
+                    throw new HttpError(400, 'Unsupported PFP image', `Expected a PNG, JPEG or WebP image${mimeType ? `, got ${mimeType}` : ''}`);
+                }
+                remember(value, { etag: response.headers.get('etag'), data, mimeType, fetchedAt: Date.now() });
+                return { data, mimeType, cached: false };
+            }
+        } catch (err) {
+            if (err instanceof HttpError) throw err;
+            if (err.name === 'TimeoutError' || signal.aborted) {
+                throw new HttpError(504, 'Failed to fetch PFP image', `The image host did not answer within ${timeoutMs} ms`);
+            }
+            if (err.cause?.code === 'EBLOCKED') {
+                throw new HttpError(400, 'Image URL not allowed', 'Images must come from a public host');
+            }
+            throw new HttpError(502, 'Failed to fetch PFP image', err.cause?.message || err.message);
+        }
+    }
+
+    async function readLimited(response) {
+        const length = Number(response.headers.get('content-length'));
+        if (length > maxBytes) {
+            await response.body?.cancel();
+            throw new HttpError(400, 'PFP image too large', `Images are limited to ${maxBytes} bytes`);
+        }
+        const chunks = [];
+        let total = 0;
+        for await (const chunk of response.body) {
+            total += chunk.length;
+            if (total > maxBytes) {
+                throw new HttpError(400, 'PFP image too large', `Images are limited to ${maxBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    function remember(url, entry) {
+        if (entry.data.length > cacheMaxBytes) return;
+        forget(url);
+        cache.set(url, entry);
+        cacheBytes += entry.data.length;
+        for (const [oldest, old] of cache) {
+            if (cacheBytes <= cacheMaxBytes) break;
+            forget(oldest, old);
+        }
+    }
+
+    function forget(url, entry = cache.get(url)) {
+        if (!entry) return;
+        cache.delete(url);
+        cacheBytes -= entry.data.length;
+    }
+
+    function touch(url, entry) {
+        cache.delete(url);
+        cache.set(url, entry);
+    }
+
+    return { checkUrl, fetchImage };
+}
+
+// "example.com" matches only itself; "*.example.com" matches its subdomains
+function matchesHost(host, pattern) {
+    if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+    return host === pattern;
+}
@@ -0,0 +1,59 @@
+import { v2 as cloudinary } from 'cloudinary';
+import { fetch } from 'undici';
+
+// Cloudinary image storage; keys are Cloudinary public ids. Videos live under
+// Cloudinary's separate video resource type, so their keys carry a "video:" prefix.
+export function createCloudinaryStorage({ cloudName, apiKey, apiSecret }) {
+    cloudinary.config({
+        cloud_name: cloudName,
+        api_key: apiKey,
+        api_secret: apiSecret,
+    });
+
+    function resource(key) {
+        return key.startsWith('video:')
+            ? { publicId: key.slice('video:'.length), resourceType: 'video' }
+            : { publicId: key, resourceType: 'image' };
+    }
+
+    function url(key) {
+        const { publicId, resourceType } = resource(key);
+        return cloudinary.url(publicId, { secure: true, resource_type: resourceType, format: resourceType === 'video' ? 'mp4' : undefined });
+    }
+
+    return {
+        name: 'cloudinary',
+
+        async put(key, data, contentType) {
+            // Cloudinary appends the format itself, so strip any extension from the public id
+            const publicId = key.replace(/\.[a-z0-9]+$/i, '');
+            const resourceType = contentType?.startsWith('video/') ? 'video' : 'image';
+            const result = await new Promise((resolve, reject) => {
+                cloudinary.uploader.upload_stream(
+                    { resource_type: resourceType, public_id: publicId },
+                    (error, result) => {
+                        if (error) reject(error);
+                        else resolve(result);
+                    }
+                ).end(data);
+            });
+            return { key: resourceType === 'video' ? `video:${result.public_id}` : result.public_id, url: result.secure_url };
+        },
+
+        async get(key) {
+            const response = await fetch(url(key));
+            if (!response.ok) return null;
+            return {
+                data: Buffer.from(await response.arrayBuffer()),
+                contentType: response.headers.get('content-type'),
+            };
+        },
+
+        url,
+
+        async remove(key) {
+            const { publicId, resourceType } = resource(key);
+            await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+        },
+    };
+}
@@ -0,0 +1,93 @@
+import path from 'path';
+import { fetch } from 'undici';
+import { createCloudinaryStorage } from './cloudinary.mjs';
+import { createLocalStorage } from './local.mjs';
+import { createS3Storage } from './s3.mjs';
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+};
+
+// Image byte storage. New images go to STORAGE_DRIVER (cloudinary | local | s3);
+// rows written by another driver are still resolved through that driver.
+export function createStorage(env = process.env) {
+    const activeName = (env.STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+    const drivers = new Map();
+
+    function driver(name = activeName) {
+        if (!drivers.has(name)) {
+            drivers.set(name, createDriver(name, env));
+        }
+        return drivers.get(name);
+    }
+
+    // Fail at startup rather than on the first upload
+    const active = driver(activeName);
+
+    return {
+        name: activeName,
+        active,
+        driver,
+
+        // Store bytes under `${prefix}/${id}.<ext>`; returns a ref to save with the image row
+        async put(prefix, id, data, contentType) {
+            const key = `${prefix}/${id}.${EXTENSIONS[contentType] || 'bin'}`;
+            const stored = await active.put(key, data, contentType);
+            return { driver: activeName, key: stored.key, url: stored.url, contentType };
+        },
+
+        // Public URL for a ref, or null when the bytes are only reachable through the server
+        url(ref) {
+            if (ref.url) return ref.url;
+            return driver(ref.driver).url(ref.key);
+        },
+
+        async read(ref) {
+            if (ref.url && /^https?:/.test(ref.url)) {
+                const response = await fetch(ref.url);
+                if (!response.ok) return null;
+                return {
+                    data: Buffer.from(await response.arrayBuffer()),
+                    contentType: response.headers.get('content-type'),
+                };
+            }
+            return driver(ref.driver).get(ref.key);
+        },
+
+        async remove(ref) {
+            await driver(ref.driver).remove(ref.key);
+        },
+    };
+}
+
+function createDriver(name, env) {
+    switch (name) {
+        case 'cloudinary':
+            return createCloudinaryStorage({
+                cloudName: env.CLOUDINARY_CLOUD_NAME,
+                apiKey: env.CLOUDINARY_API_KEY,
+                apiSecret: env.CLOUDINARY_API_SECRET,
+            });
+        case 'local':
+            return createLocalStorage({
+                dir: env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'),
+            });
+        case 's3':
+            return createS3Storage({
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION || 'us-east-1',
+                endpoint: env.S3_ENDPOINT || undefined,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'TRUE',
+                publicUrl: env.S3_PUBLIC_URL,
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected cloudinary, local or s3)`);
+    }
+}
@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Images on local disk. They get no public URL: the server hands them out through
+// /api/image and /api/video, which check the image's moderation status first.
+export function createLocalStorage({ dir }) {
+    const root = path.resolve(dir);
+
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, data) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, data);
+            return { key, url: null };
+        },
+
+        async get(key) {
+            try {
+                return { data: await fs.readFile(resolveKey(key)), contentType: null };
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        url() {
+            return null;
+        },
+
+        async remove(key) {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+    };
+}
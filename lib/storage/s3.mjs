@@ -0,0 +1,53 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// S3 or any S3-compatible store (MinIO, R2, ...)
+export function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    // Without a public base URL the bucket is treated as private and images are proxied
+    function url(key) {
+        return publicUrl ? `${publicUrl.replace(/\/$/, '')}/${key}` : null;
+    }
+
+    return {
+        name: 's3',
+
+        async put(key, data, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: data,
+                ContentType: contentType,
+            }));
+            return { key, url: url(key) };
+        },
+
+        async get(key) {
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return {
+                    data: Buffer.from(await result.Body.transformToByteArray()),
+                    contentType: result.ContentType || null,
+                };
+            } catch (err) {
+                if (err.name === 'NoSuchKey') return null;
+                throw err;
+            }
+        },
+
+        url,
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+}
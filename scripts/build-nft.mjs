@@ -0,0 +1,39 @@
+// Compile contracts/DegenifyCollection.sol into contracts/DegenifyCollection.json
+// (ABI and bytecode) for scripts/deploy-nft.mjs. Uses the solc 0.8.28 dev
+// dependency with the optimizer on (200 runs) and the paris EVM, so the same
+// source always gives the same bytecode.
+//   npm run build:nft
+import fs from 'fs';
+import solc from 'solc';
+
+const SOLC_VERSION = '0.8.28';
+const sourceFile = new URL('../contracts/DegenifyCollection.sol', import.meta.url);
+const artifactFile = new URL('../contracts/DegenifyCollection.json', import.meta.url);
+
+if (!solc.version().startsWith(`${SOLC_VERSION}+`)) {
+    throw new Error(`Expected solc ${SOLC_VERSION}, found ${solc.version()}; run npm install`);
+}
+
+const input = {
+    language: 'Solidity',
+    sources: { 'DegenifyCollection.sol': { content: fs.readFileSync(sourceFile, 'utf8') } },
+    settings: {
+        optimizer: { enabled: true, runs: 200 },
+        evmVersion: 'paris',
+        outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+};
+const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+const errors = (output.errors || []).filter(e => e.severity === 'error');
+for (const e of output.errors || []) console.error(e.formattedMessage);
+if (errors.length) process.exit(1);
+
+const contract = output.contracts['DegenifyCollection.sol'].DegenifyCollection;
+fs.writeFileSync(artifactFile, JSON.stringify({
+    contractName: 'DegenifyCollection',
+    compiler: `solc ${solc.version()}`,
+    abi: contract.abi,
+    bytecode: `0x${contract.evm.bytecode.object}`
+}, null, 2) + '\n');
+console.log(`✅ Built contracts/DegenifyCollection.json (${contract.evm.bytecode.object.length / 2} bytes of bytecode)`);
@@ -0,0 +1,29 @@
+// Deploy the DegenifyCollection contract (contracts/DegenifyCollection.sol,
+// built into contracts/DegenifyCollection.json by `npm run build:nft`) and
+// print the NFT_CONTRACT setting for it. Against a local anvil chain, with
+// anvil's first dev key:
+//   PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80 node scripts/deploy-nft.mjs http://127.0.0.1:8545
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+dotenv.config();
+
+const rpcUrl = process.argv[2] || process.env.BASE_RPC_URL || 'http://127.0.0.1:8545';
+const name = process.env.NFT_COLLECTION_NAME || 'Degenify';
+const symbol = process.env.NFT_COLLECTION_SYMBOL || 'DGNFY';
+if (!process.env.PRIVATE_KEY) throw new Error('Set PRIVATE_KEY to the deployer key');
+
+const artifactFile = new URL('../contracts/DegenifyCollection.json', import.meta.url);
+if (!fs.existsSync(artifactFile)) throw new Error('Build the contract first with npm run build:nft');
+const artifact = JSON.parse(fs.readFileSync(artifactFile, 'utf8'));
+const provider = new ethers.JsonRpcProvider(rpcUrl);
+const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+const { chainId } = await provider.getNetwork();
+
+console.log(`Deploying ${name} (${symbol}) from ${wallet.address} on chain ${chainId}...`);
+const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet).deploy(name, symbol);
+await contract.waitForDeployment();
+
+console.log(`NFT_CONTRACT=${await contract.getAddress()}`);
+console.log(`BASE_CHAIN_ID=${chainId}`);
@@ -0,0 +1,34 @@
+// One-off import of a gallery.json written by the retired server.mjs into the
+// configured storage driver and metadata repository.
+//   node scripts/import-gallery.mjs [path/to/gallery.json]
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { createStorage } from '../lib/storage/index.mjs';
+import { createRepository } from '../lib/db/index.mjs';
+
+dotenv.config();
+
+const galleryFile = process.argv[2] || 'gallery.json';
+const entries = JSON.parse(fs.readFileSync(galleryFile, 'utf8'));
+const storage = createStorage();
+const db = await createRepository();
+
+let imported = 0;
+for (const entry of entries) {
+    if (await db.getImage(entry.id)) continue;
+    const stored = await storage.put('degenify', entry.id, Buffer.from(entry.imageData, 'base64'), 'image/png');
+    // server.mjs marked PFP generations with a prompt prefix
+    const isPfp = entry.prompt?.startsWith('PFP: ');
+    await db.insertImage({
+        id: entry.id,
+        prompt: isPfp ? entry.prompt.slice(5) : entry.prompt,
+        storageDriver: stored.driver,
+        storageKey: stored.key,
+        contentType: stored.contentType,
+        mode: isPfp ? 'pfp' : null
+    });
+    imported++;
+}
+
+console.log(`Imported ${imported} of ${entries.length} images from ${galleryFile} (${storage.name} storage, ${db.driver} database)`);
+await db.close();
@@ -0,0 +1,41 @@
+// Sign in to a running server with a local wallet and print the session, for
+// trying out authenticated routes without a browser or Farcaster client.
+//   PRIVATE_KEY=0x... node scripts/sign-in.mjs [server URL] [fid]
+import { ethers } from 'ethers';
+
+const server = new URL(process.argv[2] || 'http://localhost:3000');
+const fid = process.argv[3];
+const wallet = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY) : ethers.Wallet.createRandom();
+
+const nonceResponse = await fetch(new URL('/api/auth/nonce', server), { method: 'POST' });
+if (!nonceResponse.ok) throw new Error(`Nonce request failed (${nonceResponse.status})`);
+const { nonce } = await nonceResponse.json();
+
+const message = [
+    `${server.host} wants you to sign in with your Ethereum account:`,
+    wallet.address,
+    '',
+    'Sign in to Degenify',
+    '',
+    `URI: ${server.origin}`,
+    'Version: 1',
+    'Chain ID: 10',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+    // Farcaster sign-ins name the FID the wallet signs for
+    ...(fid ? ['Resources:', `- farcaster://fid/${fid}`] : [])
+].join('\n');
+
+const response = await fetch(new URL('/api/auth/verify', server), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, signature: await wallet.signMessage(message) })
+});
+const session = await response.json();
+if (!response.ok) {
+    console.error(`❌ Sign-in failed (${response.status}):`, session.error, session.detail || '');
+    process.exit(1);
+}
+
+console.log(`✅ Signed in as ${session.id} with ${wallet.address}`);
+console.log(JSON.stringify(session, null, 2));
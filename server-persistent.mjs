@@ -1,17 +1,37 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { fetch } from 'undici';
-import { Pool } from 'pg';
-import { v2 as cloudinary } from 'cloudinary';
 import { ethers } from 'ethers';
+import { createImageProvider, SafetyBlockError } from './lib/providers/index.mjs';
+import { createStorage } from './lib/storage/index.mjs';
+import { createRepository } from './lib/db/index.mjs';
+import { createJobQueue, describeJob } from './lib/jobs.mjs';
+import { HttpError, ModerationError } from './lib/errors.mjs';
+import { createAuth } from './lib/auth.mjs';
+import { createRanking } from './lib/ranking.mjs';
+import { createQuota, rateLimitHeaders, describeQuota } from './lib/quota.mjs';
+import { createModeration } from './lib/moderation.mjs';
+import { createPresetRegistry } from './lib/presets.mjs';
+import { createAssetRegistry, sniffImageType } from './lib/assets.mjs';
+import { createRemoteImageFetcher } from './lib/remote-image.mjs';
+import { createPhotoUploads } from './lib/photo-upload.mjs';
+import { createCaptionRenderer } from './lib/captions.mjs';
+import { createCandidateStore } from './lib/candidates.mjs';
+import { createAnimator } from './lib/animation.mjs';
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const app = express();
+// Behind a proxy (Railway, Fly, nginx) set TRUST_PROXY so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' ? true : trustProxy);
+}
 // Serve Farcaster Mini App manifest (must be before static middleware)
 app.get('/.well-known/farcaster.json', (req, res) => {
     // Add cache-busting headers to force refresh
@@ -49,21 +69,131 @@ app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 const PORT = process.env.PORT || 3000;
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-let MODEL_ID = process.env.MODEL_ID || 'gemini-2.5-flash-image';
-// Backwards compatibility: map deprecated preview model to the current image model
-if (MODEL_ID === 'gemini-2.5-flash-image-preview') {
-    MODEL_ID = 'gemini-2.5-flash-image';
-}
-const BASE_IMAGE_PATH = process.env.BASE_IMAGE_PATH || 'public/base.png';
-const GOOGLE_API_BASE = process.env.GOOGLE_API_BASE || 'https://generativelanguage.googleapis.com';
+
+// Gallery paging and filters
+const GALLERY_DEFAULT_LIMIT = 24;
+const GALLERY_MAX_LIMIT = 100;
+const GALLERY_PINNED_LIMIT = 6;
+const SEARCH_MAX_QUERY_LENGTH = 200;
+const GALLERY_SORTS = ['new', 'trending', 'top'];
+const GALLERY_WINDOWS = { day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000, all: null };
+
+// Trending/top ranking: how much each kind of engagement counts, and how fast trending decays
+const ENGAGEMENT_WEIGHTS = { reaction: 3, share: 4, download: 2, view: 1 };
+const TRENDING_HALF_LIFE_HOURS = parseFloat(process.env.TRENDING_HALF_LIFE_HOURS || '24');
+// Shares, downloads and views count once per IP per image in this many hours
+const ENGAGEMENT_DEDUPE_HOURS = parseFloat(process.env.ENGAGEMENT_DEDUPE_HOURS || '24');
+// Share beacons accepted per IP per minute (0 = no limit)
+const SHARE_BEACON_LIMIT = parseInt(process.env.SHARE_BEACON_LIMIT || '10', 10);
+
+// Generation quotas per route: daily for signed-in users (per FID or wallet),
+// daily per anonymous IP, a daily cap per IP for everyone, and a burst limit per
+// window for everyone; 0 turns a limit off
+const QUOTA_LIMITS = {
+    generate: {
+        daily: parseInt(process.env.QUOTA_GENERATE_DAILY || '10', 10),
+        anonDaily: parseInt(process.env.QUOTA_GENERATE_ANON_DAILY || '3', 10),
+        ipDaily: parseInt(process.env.QUOTA_GENERATE_IP_DAILY || '30', 10),
+        burst: parseInt(process.env.QUOTA_GENERATE_BURST || '3', 10)
+    },
+    'degenify-pfp': {
+        daily: parseInt(process.env.QUOTA_PFP_DAILY || '5', 10),
+        anonDaily: parseInt(process.env.QUOTA_PFP_ANON_DAILY || '2', 10),
+        ipDaily: parseInt(process.env.QUOTA_PFP_IP_DAILY || '15', 10),
+        burst: parseInt(process.env.QUOTA_PFP_BURST || '2', 10)
+    },
+    'degenify-photo': {
+        daily: parseInt(process.env.QUOTA_PHOTO_DAILY || '5', 10),
+        anonDaily: parseInt(process.env.QUOTA_PHOTO_ANON_DAILY || '2', 10),
+        ipDaily: parseInt(process.env.QUOTA_PHOTO_IP_DAILY || '15', 10),
+        burst: parseInt(process.env.QUOTA_PHOTO_BURST || '2', 10)
+    }
+};
+const QUOTA_BURST_WINDOW_MS = parseInt(process.env.QUOTA_BURST_WINDOW_MS || '60000', 10);
+
+// An animation is several generations' worth of work; it counts as this many against the quota
+const ANIMATION_QUOTA_COST = parseInt(process.env.ANIMATION_QUOTA_COST || '2', 10);
+
+// Ancestors shown in a share page's remix chain
+const REMIX_CHAIN_DEPTH = 10;
+
+// Candidates per generation (pick-your-favourite): free ones each use up a daily generation,
+// paid ones cost the preset price each; unpicked candidates are dropped after the TTL
+const CANDIDATES_MAX_FREE = parseInt(process.env.CANDIDATES_MAX_FREE || '2', 10);
+const CANDIDATES_MAX_PAID = parseInt(process.env.CANDIDATES_MAX_PAID || '4', 10);
+const CANDIDATE_TTL_MS = parseInt(process.env.CANDIDATE_TTL_MS || '900000', 10); // 15 minutes
+
+// Image generation backend (gemini, openai or the offline mock)
+const imageProvider = createImageProvider();
+console.log(`Using ${imageProvider.name} image provider (${imageProvider.model})`);
+
+// Prompt blocklist/classifier and image safety checks before publishing
+const moderation = createModeration();
+
+// Base images the presets generate from, preloaded and looked up by id only
+const baseImages = createAssetRegistry({ dir: path.join(__dirname, 'public') });
+
+// PFPs and other remote images: public hosts only, size/time limits, cached by URL
+const remoteImages = createRemoteImageFetcher();
+
+// Photos users upload: multipart parsing, downscaling and metadata stripping
+const photoUploads = createPhotoUploads();
+
+// Top/bottom meme captions rendered onto a stored copy of an image
+const captions = createCaptionRenderer({ watermarkFile: path.join(__dirname, 'public', 'hat-logo.png') });
+
+// Style presets (characters, PFP mode): base image, prompt template, limits and price
+const presets = createPresetRegistry({ rootDir: __dirname, assets: baseImages });
+console.log(`Loaded ${presets.list().length} presets: ${presets.list().map(p => p.id).join(', ')}`);
+
+// Animation mode: frames generated one after another, assembled into a GIF and a video
+const animator = createAnimator();
+animator.videoSupport.then((available) => {
+    if (!available) console.warn('⚠️ ffmpeg not found; animations are stored as GIF only');
+});
+
+// Generated candidates waiting to be picked, kept in memory until picked or expired
+const candidateSets = createCandidateStore({ ttlMs: CANDIDATE_TTL_MS });
+
+// Generation jobs run on a bounded worker pool with server-side retries
+const generationJobs = createJobQueue({
+    concurrency: parseInt(process.env.GENERATION_CONCURRENCY || '2', 10),
+    maxAttempts: parseInt(process.env.GENERATION_MAX_ATTEMPTS || '3', 10)
+});
 
 // Payment verification constants
-const DEGEN_CONTRACT = '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed'.toLowerCase();
+const DEGEN_CONTRACT = (process.env.DEGEN_CONTRACT || '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed').toLowerCase();
 const TREASURY_ADDRESS = (process.env.TREASURY_ADDRESS || '0xe5E5e732d94e306ad3a30F33ffe4dA809f177488').toLowerCase();
 const DEGEN_COST = '50'; // 50 DEGEN tokens
 const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
-const PFP_PAID = process.env.PFP_PAID === 'TRUE'; // TRUE = paid, FALSE = free
+const PFP_PAID = process.env.PFP_PAID === 'TRUE'; // TRUE = presets with a price are paid, FALSE = everything is free
+const BASE_CHAIN_ID = BigInt(process.env.BASE_CHAIN_ID || '8453');
+const PAYMENT_QUOTE_TTL_MS = parseInt(process.env.PAYMENT_QUOTE_TTL_MS || '600000', 10); // 10 minutes
+const PAYMENT_CONFIRM_TIMEOUT_MS = parseInt(process.env.PAYMENT_CONFIRM_TIMEOUT_MS || '30000', 10);
+
+// Creator tips: the smallest tip, and the platform's share of a tip in percent (sent to the treasury)
+const TIP_MIN_AMOUNT = process.env.TIP_MIN_AMOUNT || '1';
+const TIP_FEE_PERCENT = parseFloat(process.env.TIP_FEE_PERCENT || '0');
+if (!(TIP_FEE_PERCENT >= 0 && TIP_FEE_PERCENT < 100)) throw new Error('TIP_FEE_PERCENT must be at least 0 and below 100');
+// In basis points, so fee amounts stay whole numbers of wei
+const TIP_FEE_BPS = BigInt(Math.round(TIP_FEE_PERCENT * 100));
+// How long a tip intent can be used to record its transfer
+const TIP_INTENT_TTL_MS = 60 * 60 * 1000;
+
+// Treasury reconciliation job
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || '300000', 10); // 0 disables the job
+const RECONCILE_BLOCK_RANGE = parseInt(process.env.RECONCILE_BLOCK_RANGE || '2000', 10);
+const RECONCILE_START_BLOCK = process.env.RECONCILE_START_BLOCK ? parseInt(process.env.RECONCILE_START_BLOCK, 10) : null;
+const RECONCILE_GRACE_MS = parseInt(process.env.RECONCILE_GRACE_MS || '3600000', 10); // unconsumed for 1 hour = flagged
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Signed-in FIDs that may use the admin endpoints and page, besides ADMIN_TOKEN
+const ADMIN_FIDS = (process.env.ADMIN_FIDS || '').split(',').map(fid => fid.trim()).filter(Boolean).map(Number);
+
+// User reports: allowed reasons, and how many FIDs' open reports send an image back to review (0 = never)
+const REPORT_REASONS = ['spam', 'nsfw', 'hate', 'violence', 'copyright', 'other'];
+const REPORT_NOTE_MAX_LENGTH = 500;
+const REPORT_REVIEW_THRESHOLD = parseInt(process.env.REPORT_REVIEW_THRESHOLD || '3', 10);
+const ADMIN_PAGE_LIMIT = 50;
 
 // Initialize Base provider
 const provider = new ethers.JsonRpcProvider(BASE_RPC_URL);
@@ -73,433 +203,1482 @@ const ERC20_IFACE = new ethers.Interface([
     'event Transfer(address indexed from, address indexed to, uint256 value)'
 ]);
 
-// Configure Cloudinary
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// NFT collection (contracts/DegenifyCollection.sol) on the same chain; minting is off without NFT_CONTRACT.
+// Token URIs are fixed on chain, so they always point at NFT_BASE_URL and never at a request's host.
+const NFT_CONTRACT = (process.env.NFT_CONTRACT || '').toLowerCase();
+const NFT_BASE_URL = (process.env.NFT_BASE_URL || '').replace(/\/+$/, '');
+if (NFT_CONTRACT && !/^https?:\/\/[^/]+/.test(NFT_BASE_URL)) throw new Error('NFT_BASE_URL must be set to the public http(s) URL of the app when NFT_CONTRACT is set');
+const NFT_IFACE = new ethers.Interface([
+    'function mint(string uri) returns (uint256)',
+    'function tokenURI(uint256 tokenId) view returns (string)',
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+]);
+const nftCollection = NFT_CONTRACT ? new ethers.Contract(NFT_CONTRACT, NFT_IFACE, provider) : null;
+
+// Image storage (cloudinary, local disk or S3-compatible)
+const storage = createStorage();
+console.log(`Using ${storage.name} image storage`);
+
+// Metadata repository (postgres, sqlite or in-memory)
+const db = await createRepository();
+console.log(`Database initialized successfully (${db.driver})`);
+
+// Sign-in with Farcaster / Ethereum sessions
+const auth = createAuth({ db });
 
-// Configure PostgreSQL
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+// Engagement ranking for the trending and top feeds
+const ranking = createRanking({
+    db,
+    weights: ENGAGEMENT_WEIGHTS,
+    halfLifeHours: TRENDING_HALF_LIFE_HOURS,
+    dedupeWindowMs: ENGAGEMENT_DEDUPE_HOURS * 3600000
 });
 
-// Initialize database table
-async function initDatabase() {
-    try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS images (
-                id VARCHAR(255) PRIMARY KEY,
-                prompt TEXT NOT NULL,
-                cloudinary_url TEXT NOT NULL,
-                cloudinary_public_id VARCHAR(255) NOT NULL,
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('Database initialized successfully');
-    } catch (err) {
-        console.error('Database initialization failed:', err);
+// Free generation quotas and burst limits, counted in the database
+const quota = createQuota({ db, limits: QUOTA_LIMITS, burstWindowMs: QUOTA_BURST_WINDOW_MS });
+setInterval(() => {
+    quota.prune().catch(err => console.error('Rate limit pruning error:', err));
+}, 60 * 60 * 1000).unref();
+
+// Count a generation against the caller's quota and set the RateLimit-* headers.
+// Returns the usage, or null once it has answered 429.
+async function chargeQuota(req, res, route, options = {}) {
+    const usage = await quota.consume(route, { user: req.user, ip: req.ip, ...options });
+    res.set(rateLimitHeaders(usage));
+    if (!usage.allowed) {
+        const refused = usage.limits.at(-1);
+        const burst = refused.name === 'burst';
+        console.log(`🚦 ${route} limited for ${req.user?.id || req.ip} (${burst ? 'burst' : 'daily'})`);
+        res.status(429).json({
+            error: burst ? 'Too many generations, slow down' : 'Daily generation limit reached',
+            detail: burst
+                ? `Try again in ${usage.retryAfter} seconds`
+                : refused.remaining > 0 ? `Only ${refused.remaining} free generations left today; ask for fewer candidates`
+                    : req.user ? 'Come back tomorrow for more free generations' : 'Sign in to get more free generations, or come back tomorrow',
+            retryAfter: usage.retryAfter,
+            quota: describeQuota(usage)
+        });
+        return null;
     }
+    return usage;
 }
 
-// Initialize database on startup
-initDatabase();
-
-app.post('/api/generate', async (req, res) => {
+app.post('/api/generate', auth.optionalUser, async (req, res) => {
+    // Quote claimed for a paid preset; released again unless the image gets stored
+    let claimedQuote = null;
     try {
-        const { prompt, baseImage: baseImageName = 'base.png', promptContext } = req.body || {};
+        const { prompt, baseImage: baseImageId } = req.body || {};
         if (!prompt) return res.status(400).json({ error: 'prompt required' });
-
-        // Determine the base image path based on the toggle
-        const basePath = path.join(__dirname, 'public', baseImageName);
-        if (!fs.existsSync(basePath)) return res.status(400).json({ error: 'Base image missing at ' + basePath });
-        const baseImage = fs.readFileSync(basePath);
-
-        // Determine MIME type based on file extension
-        const mimeType = baseImageName.endsWith('.jpeg') || baseImageName.endsWith('.jpg') ? 'image/jpeg' : 'image/png';
-
-        if (!GOOGLE_API_KEY) {
-            res.setHeader('Content-Type', 'image/png');
-            return res.status(200).send(baseImage);
-        }
-
-        const url = `${GOOGLE_API_BASE}/v1beta/models/${MODEL_ID}:generateContent`;
-
-        // Enhanced prompt using dynamic context
-        const enhancedPrompt = `${promptContext}
-
-Instructions:
-1. Use the base image as reference for the character/object
-2. Modify the character/object to fit the situation described: ${prompt}
-3. Maintain the core visual elements from the base image
-4. Place the character/object in the new situation described: ${prompt}
-5. Ensure the result is visually appealing and matches the prompt
-
-Situation to create: ${prompt}`;
-
-        const requestBody = {
-            contents: [
-                {
-                    parts: [
-                        { text: enhancedPrompt },
-                        {
-                            inlineData: {
-                                mimeType: mimeType,
-                                data: baseImage.toString('base64'),
-                            },
-                        },
-                    ],
-                },
-            ],
+        rejectClientPrompt(req.body);
+        // Older clients name the base image instead of the preset; it must be a known one
+        const presetId = req.body.preset ?? (baseImageId !== undefined ? presets.forBaseImage(baseImageId)?.id : DEFAULT_PRESET);
+        const preset = presets.resolve(presetId, prompt, { source: 'base-image' });
+        if (baseImageId !== undefined && baseImages.resolve(baseImageId).id !== preset.baseImage) {
+            return res.status(400).json({ error: 'Base image does not match preset', detail: `The ${preset.id} preset uses ${preset.baseImage}` });
+        }
+        if (await rejectBanned(req, res)) return;
+
+        const baseImage = baseImages.resolve(preset.baseImage);
+
+        await moderation.checkPrompt(prompt);
+        // Paid presets are only burst-limited; free ones use up the daily quota
+        const price = presetPrice(preset);
+        const count = candidateCount(req, price);
+        const animated = req.body.animation === true;
+        if (animated && count > 1) {
+            return res.status(400).json({ error: 'Animations cannot have candidates', detail: 'Send either animation or candidates' });
+        }
+        const cost = animated ? ANIMATION_QUOTA_COST : count;
+        const usage = await chargeQuota(req, res, 'generate', { daily: !price, cost });
+        if (!usage) return;
+
+        if (price) {
+            claimedQuote = await claimPayment(req, res, preset, cost);
+            if (!claimedQuote) return;
+        }
+
+        const args = {
+            prompt: presets.render(preset, prompt),
+            image: { data: baseImage.data, mimeType: baseImage.mimeType },
+            storagePrefix: animated ? 'animation' : 'degenify',
+            galleryPrompt: prompt,
+            mode: preset.id,
+            baseImage: preset.baseImage,
+            user: req.user,
+            keepOutput: !wantsAsync(req)
         };
+        const run = animated ? (job) => generateAnimation(job, args) : generationRun(count, args);
+        const job = generationJobs.enqueue(animated ? 'animation' : 'generate', paidJob(claimedQuote, run));
+        releaseQuoteOnFailure(job, claimedQuote);
+        refundQuotaOnFailure(job, usage);
 
-        const aiRes = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GOOGLE_API_KEY },
-            body: JSON.stringify(requestBody),
-        });
-
-        if (!aiRes.ok) {
-            const errText = await aiRes.text();
-            return res.status(502).json({ error: 'Google API error', detail: errText });
-        }
-
-        const data = await aiRes.json();
-        let b64;
-        try {
-            const parts = data.candidates?.[0]?.content?.parts || [];
-            for (const p of parts) {
-                if (p.inline_data?.data) { b64 = p.inline_data.data; break; }
-                if (p.inlineData?.data) { b64 = p.inlineData.data; break; }
-            }
-        } catch { }
-
-        if (!b64) {
-            return res.status(502).json({ error: 'No image returned', detail: data });
-        }
-
-        const imgBuffer = Buffer.from(b64, 'base64');
-
-        // Upload to Cloudinary
-        const imageId = Date.now() + Math.random();
-        const cloudinaryResult = await cloudinary.uploader.upload(
-            `data:image/png;base64,${b64}`,
-            {
-                public_id: `degenify/${imageId}`,
-                folder: 'degenify',
-                resource_type: 'image'
-            }
-        );
-
-        // Store metadata in PostgreSQL
-        await pool.query(
-            'INSERT INTO images (id, prompt, cloudinary_url, cloudinary_public_id) VALUES ($1, $2, $3, $4)',
-            [imageId, prompt, cloudinaryResult.secure_url, cloudinaryResult.public_id]
-        );
-
-        res.setHeader('Content-Type', 'image/png');
-        return res.status(200).send(imgBuffer);
+        return await respondWithJob(req, res, job, { quota: describeQuota(usage) });
     } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
         console.error(err);
         res.status(500).json({ error: 'server error' });
     }
 });
 
 // API endpoint to degenify user's PFP
-app.post('/api/degenify-pfp', async (req, res) => {
+app.post('/api/degenify-pfp', auth.optionalUser, async (req, res) => {
+    // Quote claimed for this request; released again unless the image gets stored
+    let claimedQuote = null;
     try {
         console.log('🔍 PFP degenify request received');
         console.log('🔍 Request body:', JSON.stringify(req.body, null, 2));
 
-        const { prompt, pfpUrl, promptContext } = req.body || {};
-
+        const { prompt, preset: presetId = 'pfp' } = req.body || {};
         if (!prompt) {
             console.log('❌ Missing prompt');
             return res.status(400).json({ error: 'prompt required' });
         }
+        rejectClientPrompt(req.body);
+        const preset = presets.resolve(presetId, prompt, { source: 'pfp' });
+
+        // Signed-in users need not send their PFP
+        let pfpUrl = req.body?.pfpUrl;
+        if (!pfpUrl && req.user?.fid) {
+            pfpUrl = (await lookupFarcasterUser(req.user.fid))?.pfpUrl;
+        }
         if (!pfpUrl) {
             console.log('❌ Missing pfpUrl');
             return res.status(400).json({ error: 'pfpUrl required' });
         }
+        remoteImages.checkUrl(pfpUrl);
+
+        if (await rejectBanned(req, res)) return;
+
+        console.log('✅ PFP degenify request valid:', { prompt: prompt.substring(0, 50) + '...', pfpUrl, preset: preset.id });
+
+        await moderation.checkPrompt(prompt);
+
+        // Paid generations are only burst-limited; free ones use up the daily quota
+        const price = presetPrice(preset);
+        const count = candidateCount(req, price);
+        const usage = await chargeQuota(req, res, 'degenify-pfp', { daily: !price, cost: count });
+        if (!usage) return;
+
+        // Payment gate: the transfer for a server-issued quote must be verified before generating
+        if (price) {
+            claimedQuote = await claimPayment(req, res, preset, count);
+            if (!claimedQuote) return;
+        }
+
+        const job = generationJobs.enqueue('degenify-pfp', paidJob(claimedQuote, async (job) => {
+            // Fetch the user's PFP image; its type comes from the bytes, not the headers
+            console.log('🔍 Fetching PFP image from:', pfpUrl);
+            const pfp = await remoteImages.fetchImage(pfpUrl);
+            console.log(`✅ PFP image ${pfp.cached ? 'from cache' : 'fetched'}, ${pfp.mimeType}, size:`, pfp.data.length);
+
+            console.log(`🔍 Sending request to ${imageProvider.name} image provider...`);
+            const result = await generationRun(count, {
+                prompt: presets.render(preset, prompt),
+                image: { data: pfp.data, mimeType: pfp.mimeType },
+                storagePrefix: 'pfp_degenified',
+                galleryPrompt: prompt,
+                mode: preset.id,
+                baseImage: pfpUrl,
+                user: req.user,
+                keepOutput: !wantsAsync(req)
+            })(job);
+            console.log('✅ Image generated');
+            return result;
+        }));
+        releaseQuoteOnFailure(job, claimedQuote);
+        refundQuotaOnFailure(job, usage);
 
-        console.log('✅ PFP degenify request valid:', { prompt: prompt.substring(0, 50) + '...', pfpUrl, promptContext: promptContext?.substring(0, 50) + '...' });
-
-        if (!GOOGLE_API_KEY) {
-            return res.status(500).json({ error: 'Google API key not configured' });
-        }
-
-        // Fetch the user's PFP image
-        console.log('🔍 Fetching PFP image from:', pfpUrl);
-        const pfpResponse = await fetch(pfpUrl);
-        if (!pfpResponse.ok) {
-            console.log('❌ Failed to fetch PFP image:', pfpResponse.status, pfpResponse.statusText);
-            return res.status(400).json({ error: 'Failed to fetch PFP image' });
-        }
-        const pfpBuffer = await pfpResponse.arrayBuffer();
-        const pfpBase64 = Buffer.from(pfpBuffer).toString('base64');
-        console.log('✅ PFP image fetched and encoded, size:', pfpBase64.length);
-
-        // Determine MIME type based on URL or response headers
-        const contentType = pfpResponse.headers.get('content-type') || 'image/jpeg';
-        const mimeType = contentType.includes('jpeg') || contentType.includes('jpg') ? 'image/jpeg' : 'image/png';
-
-        const url = `${GOOGLE_API_BASE}/v1beta/models/${MODEL_ID}:generateContent`;
-
-        // PFP-specific prompt
-        const enhancedPrompt = `${promptContext}
-
-Instructions:
-1. Use the provided profile picture as the base image
-2. Add a stylish purple top hat to this person
-3. Maintain their facial features and overall appearance
-4. Make the hat look natural and well-integrated
-5. Ensure the hat is prominent but doesn't overpower their face
-6. Keep the same lighting and style as the original photo
-
-Situation to create: ${prompt}`;
-
-        const requestBody = {
-            contents: [
-                {
-                    parts: [
-                        { text: enhancedPrompt },
-                        {
-                            inlineData: {
-                                mimeType: mimeType,
-                                data: pfpBase64,
-                            },
-                        },
-                    ],
-                },
-            ],
-        };
+        return await respondWithJob(req, res, job, { quota: describeQuota(usage) });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            console.error('❌ PFP degenification failed:', err.message, err.detail);
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('PFP degenification error:', err);
+        res.status(500).json({ error: 'PFP degenification failed', details: err.message });
+    }
+});
 
-        console.log('🔍 Sending request to Google AI API...');
-        const aiRes = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GOOGLE_API_KEY },
-            body: JSON.stringify(requestBody),
-        });
+// API endpoint to degenify an uploaded photo (multipart: photo, prompt, preset, async);
+// the same hat flow as PFPs for people outside the miniapp
+app.post('/api/degenify-photo', photoUploads.body, auth.optionalUser, async (req, res) => {
+    // Quote claimed for a paid preset; released again unless the image gets stored
+    let claimedQuote = null;
+    try {
+        const { fields, photo } = await photoUploads.readForm(req);
+        // The rest of the flow (payment, wantsAsync) reads the form fields like a JSON body
+        req.body = {
+            ...fields,
+            async: fields.async === 'true',
+            candidates: fields.candidates === undefined ? undefined : Number(fields.candidates)
+        };
 
-        if (!aiRes.ok) {
-            const errorText = await aiRes.text();
-            console.error('❌ Google API error:', aiRes.status, errorText);
-            return res.status(500).json({ error: 'Google API error', details: errorText });
+        const { prompt, preset: presetId = 'photo' } = req.body;
+        if (!prompt) return res.status(400).json({ error: 'prompt required' });
+        rejectClientPrompt(req.body);
+        const preset = presets.resolve(presetId, prompt, { source: 'upload' });
+
+        if (await rejectBanned(req, res)) return;
+
+        const image = await photoUploads.normalize(photo);
+        console.log(`📷 Photo upload: ${photo.length} bytes in, ${image.width}x${image.height} ${image.mimeType} (${image.data.length} bytes) out`);
+
+        await moderation.checkPrompt(prompt);
+
+        // Paid presets are only burst-limited; free ones use up the daily quota
+        const price = presetPrice(preset);
+        const count = candidateCount(req, price);
+        const usage = await chargeQuota(req, res, 'degenify-photo', { daily: !price, cost: count });
+        if (!usage) return;
+
+        if (price) {
+            claimedQuote = await claimPayment(req, res, preset, count);
+            if (!claimedQuote) return;
+        }
+
+        // The uploaded photo itself is never stored, only the generated image
+        const job = generationJobs.enqueue('degenify-photo', paidJob(claimedQuote, generationRun(count, {
+            prompt: presets.render(preset, prompt),
+            image: { data: image.data, mimeType: image.mimeType },
+            storagePrefix: 'photo_degenified',
+            galleryPrompt: prompt,
+            mode: preset.id,
+            baseImage: null,
+            user: req.user,
+            keepOutput: !wantsAsync(req)
+        })));
+        releaseQuoteOnFailure(job, claimedQuote);
+        refundQuotaOnFailure(job, usage);
+
+        return await respondWithJob(req, res, job, { quota: describeQuota(usage) });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
         }
+        console.error('Photo degenification error:', err);
+        res.status(500).json({ error: 'server error' });
+    }
+});
 
-        console.log('✅ Google AI API request successful');
-
-        const aiData = await aiRes.json();
-        console.log('🔍 AI Response structure:', JSON.stringify(aiData, null, 2));
+// Remix a gallery image: it goes to the model instead of a base image, together with a new
+// instruction ("now make it night time"). The result is a new image that points at its parent;
+// the parent is never changed. Remixing the result again gives multi-turn edits.
+app.post('/api/images/:id/remix', auth.optionalUser, async (req, res) => {
+    // Quote claimed for a paid preset; released again unless the image gets stored
+    let claimedQuote = null;
+    try {
+        const { prompt, preset: presetId = 'remix' } = req.body || {};
+        if (!prompt) return res.status(400).json({ error: 'prompt required' });
+        rejectClientPrompt(req.body);
+        const preset = presets.resolve(presetId, prompt, { source: 'remix' });
 
-        if (!aiData.candidates || !aiData.candidates[0] || !aiData.candidates[0].content || !aiData.candidates[0].content.parts) {
-            console.error('Unexpected AI response structure:', JSON.stringify(aiData, null, 2));
-            return res.status(500).json({ error: 'Unexpected AI response structure', details: 'Check server logs for full response' });
+        // Published images can be remixed by anyone; creators can also keep editing one still in review
+        const parent = await db.getImage(req.params.id);
+        if (!parent || parent.moderation_status === 'hidden' || !(isPublished(parent) || canEditImage(req, parent))) {
+            return res.status(404).json({ error: 'Image not found' });
         }
-
-        // Find the part with inlineData (image) - it might not be the first part
-        let imgBase64 = null;
-        for (const part of aiData.candidates[0].content.parts) {
-            if (part.inlineData && part.inlineData.data) {
-                imgBase64 = part.inlineData.data;
-                break;
-            }
+        if (await rejectBanned(req, res)) return;
+        if (parent.content_type === 'image/gif') {
+            return res.status(400).json({ error: 'Animations cannot be remixed', detail: 'Remix a still image instead' });
         }
 
-        if (!imgBase64) {
-            console.error('No image data found in AI response:', JSON.stringify(aiData, null, 2));
-            return res.status(500).json({ error: 'No image data found in AI response', details: 'Check server logs for full response' });
+        // The uncaptioned original, so caption text is not baked into the remix
+        const source = await storage.read(originalImageRef(parent));
+        if (!source) {
+            return res.status(404).json({ error: 'Image not found in storage' });
         }
-        const imgBuffer = Buffer.from(imgBase64, 'base64');
 
-        // Upload to Cloudinary
-        const cloudinaryResult = await new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-                { resource_type: 'image', public_id: `pfp_degenified_${Date.now()}` },
-                (error, result) => {
-                    if (error) reject(error);
-                    else resolve(result);
-                }
-            ).end(imgBuffer);
-        });
+        await moderation.checkPrompt(prompt);
+        // Remixes are generations like any other and share their quota
+        const price = presetPrice(preset);
+        const count = candidateCount(req, price);
+        const usage = await chargeQuota(req, res, 'generate', { daily: !price, cost: count });
+        if (!usage) return;
+
+        if (price) {
+            claimedQuote = await claimPayment(req, res, preset, count);
+            if (!claimedQuote) return;
+        }
 
-        // Save to database
-        const imageId = Date.now() + Math.random();
-        await pool.query(
-            'INSERT INTO images (id, prompt, cloudinary_url, cloudinary_public_id) VALUES ($1, $2, $3, $4)',
-            [imageId, `PFP: ${prompt}`, cloudinaryResult.secure_url, cloudinaryResult.public_id]
-        );
+        const job = generationJobs.enqueue('remix', paidJob(claimedQuote, generationRun(count, {
+            prompt: presets.render(preset, prompt),
+            image: { data: source.data, mimeType: sniffImageType(source.data) || imageContentType(parent) || 'image/png' },
+            storagePrefix: 'remix',
+            galleryPrompt: prompt,
+            mode: preset.id,
+            baseImage: null,
+            parentId: parent.id,
+            user: req.user,
+            keepOutput: !wantsAsync(req)
+        })));
+        releaseQuoteOnFailure(job, claimedQuote);
+        refundQuotaOnFailure(job, usage);
 
-        res.setHeader('Content-Type', 'image/png');
-        return res.status(200).send(imgBuffer);
+        return await respondWithJob(req, res, job, { quota: describeQuota(usage), parentId: parent.id });
     } catch (err) {
-        console.error('PFP degenification error:', err);
-        res.status(500).json({ error: 'PFP degenification failed', details: err.message });
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Remix error:', err);
+        res.status(500).json({ error: 'server error' });
     }
 });
 
-// API endpoint to get all generated images (sorted by newest first)
-app.get('/api/gallery', async (req, res) => {
-    try {
-        const result = await pool.query('SELECT * FROM images ORDER BY timestamp DESC');
-        const images = result.rows.map(row => ({
-            id: row.id,
-            prompt: row.prompt,
-            imageData: row.cloudinary_url, // Frontend will use this as image src
-            timestamp: row.timestamp
-        }));
-        res.json(images);
-    } catch (err) {
-        console.error('Database error:', err);
-        res.status(500).json({ error: 'Database error' });
+// Presets generations start from when the request names none
+const DEFAULT_PRESET = presets.list().find(p => p.source === 'base-image')?.id;
+
+// Prompt templates live on the server; clients only pick a preset
+function rejectClientPrompt(body) {
+    if (body.promptContext !== undefined) {
+        throw new HttpError(400, 'promptContext is not accepted', 'Send a preset id from /api/presets instead');
     }
-});
+}
 
-// API endpoint to get user's PFP from FID (server-side Neynar API call)
-app.post('/api/get-user-pfp', async (req, res) => {
-    try {
-        const { fid } = req.body;
-        if (!fid) {
-            return res.status(400).json({ error: 'FID required' });
-        }
+// DEGEN a generation with this preset costs, or null when it is free
+function presetPrice(preset) {
+    return PFP_PAID ? preset.price : null;
+}
 
-        console.log(`🔍 Fetching PFP for FID: ${fid}`);
+// DEGEN for `count` generations (candidates, or an animation) with this preset, or null when it is free
+function generationsPrice(preset, count) {
+    const price = presetPrice(preset);
+    if (!price || count === 1) return price;
+    return ethers.formatUnits(ethers.parseUnits(price, 18) * BigInt(count), 18).replace(/\.0$/, '');
+}
 
-        // Use Neynar API to get user data by FID
-        const neynarResponse = await fetch(`https://api.neynar.com/v2/farcaster/user?fid=${fid}`, {
-            headers: {
-                'api_key': process.env.NEYNAR_API_KEY || 'NEYNAR_API_DOCS' // Use env var or fallback
-            }
+// How many candidates a generation request asks for (`candidates`, 1 by default). Paid
+// generations may ask for more than free ones; asking for more than allowed gets the most allowed.
+function candidateCount(req, price) {
+    const count = Math.min(requestedCandidates(req), price ? CANDIDATES_MAX_PAID : CANDIDATES_MAX_FREE);
+    // The candidates are only offered through the job result
+    if (count > 1 && !wantsAsync(req)) {
+        throw new HttpError(400, 'Candidates need an async request', 'Send async: true to pick from several candidates');
+    }
+    return count;
+}
+
+// The `candidates` number as sent, checked the same way for quotes and generations
+function requestedCandidates(req) {
+    const requested = req.body?.candidates ?? 1;
+    if (!Number.isInteger(requested) || requested < 1) {
+        throw new HttpError(400, 'Invalid candidates', 'candidates must be a whole number of at least 1');
+    }
+    return requested;
+}
+
+// Payment gate for paid presets: the transfer for a server-issued quote of the preset's price
+// (times the number of candidates) must be verified first. Returns the claimed quote, or null
+// after sending the error response.
+async function claimPayment(req, res, preset, count = 1) {
+    const { quoteNonce, txHash } = req.body;
+    if (!quoteNonce || !txHash) {
+        console.log(`❌ Missing payment for paid ${preset.id} generation`);
+        res.status(402).json({ error: 'Payment required', detail: `Request a quote for the ${preset.id} preset from /api/payment-quote and pay it first` });
+        return null;
+    }
+    // The payer is always the session's verified address, so nobody can claim another wallet's transfer
+    if (!req.user) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: 'Sign in required', detail: 'Paid generations are checked against the signed-in address' });
+        return null;
+    }
+    const fromAddress = req.user.address;
+
+    const quote = await db.getPaymentQuote(quoteNonce);
+    if (!quote) {
+        res.status(402).json({ error: 'Unknown payment quote' });
+        return null;
+    }
+    if (quote.user_id !== req.user.id) {
+        res.status(403).json({ error: 'Payment quote belongs to another user', detail: 'Sign in as the user who requested the quote' });
+        return null;
+    }
+    if (quote.status === 'consumed') {
+        res.status(402).json({ error: 'Payment quote already used' });
+        return null;
+    }
+    if (quote.status === 'pending' && new Date(quote.expires_at) < new Date()) {
+        res.status(402).json({ error: 'Payment quote expired' });
+        return null;
+    }
+    const price = generationsPrice(preset, count);
+    if (ethers.parseUnits(quote.amount, 18) < ethers.parseUnits(price, 18)) {
+        res.status(402).json({
+            error: 'Payment quote does not cover this preset',
+            detail: count > 1 ? `${count} generations with the ${preset.id} preset cost ${price} DEGEN` : `The ${preset.id} preset costs ${price} DEGEN`
         });
+        return null;
+    }
+    if (quote.tx_hash && quote.tx_hash !== txHash.toLowerCase()) {
+        res.status(402).json({ error: 'Payment quote was paid with a different transaction' });
+        return null;
+    }
 
-        if (!neynarResponse.ok) {
-            console.error('Neynar API error:', neynarResponse.status, neynarResponse.statusText);
-            return res.status(502).json({ error: 'Failed to fetch user data from Neynar' });
-        }
+    const verification = await verifyDegenTransfer({
+        txHash,
+        fromAddress,
+        amount: quote.amount,
+        waitMs: PAYMENT_CONFIRM_TIMEOUT_MS
+    });
+    if (!verification.valid) {
+        console.log('❌ Payment not verified:', verification.error);
+        res.status(402).json({ error: 'Payment not verified', detail: verification.error });
+        return null;
+    }
 
-        const userData = await neynarResponse.json();
-        const pfpUrl = userData.result?.user?.pfp_url;
+    // The transfer itself may only ever pay for one quote
+    const payment = await db.reservePayment(verification.transfer, quoteNonce, 'verify');
+    if (!payment) {
+        res.status(402).json({ error: 'Payment already used' });
+        return null;
+    }
 
-        if (!pfpUrl) {
-            console.log(`No PFP found for FID: ${fid}`);
-            return res.status(404).json({ error: 'No PFP found for this user' });
-        }
+    const claimed = await db.claimPaymentQuote(quoteNonce, txHash.toLowerCase(), fromAddress.toLowerCase());
+    if (!claimed) {
+        res.status(409).json({ error: 'Payment quote is already being used by another request' });
+        return null;
+    }
+    claimed.payment = payment;
+    console.log(`✅ Payment verified for quote ${quoteNonce}`);
+    return claimed;
+}
 
-        console.log(`✅ Found PFP for FID ${fid}: ${pfpUrl}`);
-        res.json({ pfpUrl: pfpUrl });
-    } catch (err) {
-        console.error('PFP fetch error:', err);
-        res.status(500).json({ error: 'Failed to fetch PFP', details: err.message });
+// Job function that settles a claimed quote once its image is stored
+function paidJob(claimedQuote, run) {
+    if (!claimedQuote) return run;
+    return async (job) => {
+        const result = await run(job);
+        await db.consumePayment(claimedQuote.payment, result.imageId);
+        await db.consumePaymentQuote(claimedQuote.nonce);
+        return result;
+    };
+}
+
+// Generation failed after payment: keep the quote paid so the client can retry with it
+function releaseQuoteOnFailure(job, claimedQuote) {
+    if (!claimedQuote) return;
+    const { nonce } = claimedQuote;
+    job.promise.catch(() => db.releasePaymentQuote(nonce).catch(err => console.error('Failed to release payment quote:', err)));
+}
+
+// Job function for a generation: straight into the gallery, or candidates to pick from first
+function generationRun(count, args) {
+    return count > 1 ? (job) => generateCandidates(job, count, args) : (job) => generateAndStore(job, args);
+}
+
+// Generate with the image provider, store the result and add it to the gallery
+async function generateAndStore(job, { prompt, image, keepOutput, ...publish }) {
+    const generated = await imageProvider.generate({ prompt, image });
+    const verdict = await moderation.checkImage(generated);
+
+    job.update('uploading');
+    const imageId = Date.now() + Math.random();
+    const result = await publishImage(imageId, generated, verdict, publish);
+    rejectHidden(imageId, verdict);
+
+    // Synchronous callers get the bytes straight back
+    if (keepOutput) job.output = generated.data;
+    return result;
+}
+
+// Generate an animation frame by frame and store it as a GIF, plus a video of the loop when
+// ffmpeg is available. Every frame is moderated; the strictest verdict applies to the whole loop.
+async function generateAnimation(job, { prompt, image, keepOutput, ...publish }) {
+    const frames = await animator.generateFrames((args) => imageProvider.generate(args), { prompt, image }, (index) => {
+        job.update('running', { progress: { frame: index + 1, frames: animator.frameCount } });
+    });
+    const verdicts = await Promise.all(frames.map(frame => moderation.checkImage(frame)));
+    const verdict = verdicts.reduce((strictest, v) => (VERDICT_SEVERITY[v.status] > VERDICT_SEVERITY[strictest.status] ? v : strictest));
+
+    job.update('uploading', { progress: null });
+    const { gif, video } = await animator.assemble(frames);
+    const imageId = Date.now() + Math.random();
+    const storedVideo = video ? await storage.put('animation_video', imageId, video.data, video.mimeType) : null;
+    const result = await publishImage(imageId, gif, verdict, { ...publish, video: storedVideo });
+    rejectHidden(imageId, verdict);
+
+    console.log(`🎞️ Animation ${imageId}: ${frames.length} frames, ${gif.data.length} byte GIF${video ? `, ${video.data.length} byte ${video.mimeType}` : ''}`);
+    if (keepOutput) job.output = gif.data;
+    return { ...result, videoUrl: storedVideo ? `/api/video/${imageId}` : null };
+}
+
+const VERDICT_SEVERITY = { visible: 0, pending: 1, hidden: 2 };
+
+// Flagged images are kept (hidden) for review but never shown, not even to their creator
+function rejectHidden(imageId, verdict) {
+    if (verdict.status !== 'hidden') return;
+    console.log(`🙈 Image ${imageId} hidden by moderation: ${verdict.reason}`);
+    throw new ModerationError('Your image was flagged by our safety check and will not be published. Try a different prompt.', { reason: verdict.reason });
+}
+
+// Generate several images at once; nothing is stored until the user picks one of them.
+// Flagged images are dropped rather than kept for review, since they are never published.
+async function generateCandidates(job, count, { prompt, image, ...publish }) {
+    const settled = await Promise.allSettled(Array.from({ length: count }, async () => {
+        const generated = await imageProvider.generate({ prompt, image });
+        return { data: generated.data, mimeType: generated.mimeType, moderation: await moderation.checkImage(generated) };
+    }));
+    const generated = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    const images = generated.filter(c => c.moderation.status !== 'hidden');
+    if (!images.length) {
+        const failure = settled.find(r => r.status === 'rejected');
+        if (failure) throw failure.reason;
+        throw new ModerationError('Your images were flagged by our safety check and will not be published. Try a different prompt.', { reason: generated[0].moderation.reason });
     }
-});
 
-// API endpoint to get PFP URL from FID (simplified version for miniapp)
-app.post('/api/fc-pfp', async (req, res) => {
-    try {
-        const { fid } = req.body;
-        if (!fid) {
-            return res.status(400).json({ error: 'Missing fid' });
-        }
+    // The picked image is published under the id reserved here, which paid jobs settle against
+    const set = candidateSets.add({ imageId: Date.now() + Math.random(), images, publish });
+    console.log(`🎲 ${images.length} of ${count} candidates ready in set ${set.id}`);
+    return {
+        imageId: String(set.imageId),
+        candidateSetId: set.id,
+        candidates: images.map((c, index) => ({ index, imageUrl: `/api/candidates/${set.id}/${index}`, contentType: c.mimeType })),
+        pickUrl: `/api/candidates/${set.id}/pick`,
+        expiresAt: set.expiresAt.toISOString(),
+        failedCandidates: settled.length - generated.length
+    };
+}
 
-        console.log(`🔍 Fetching PFP for FID: ${fid}`);
-        console.log(`🔍 API Key present: ${process.env.NEYNAR_API_KEY ? 'Yes' : 'No'}`);
+// Store a generated image and add it to the gallery
+// Signed-in users are credited as the creator; everyone else stays anonymous
+async function publishImage(imageId, generated, verdict, { storagePrefix, galleryPrompt, mode, baseImage, parentId = null, video = null, user }) {
+    const stored = await storage.put(storagePrefix, imageId, generated.data, generated.mimeType);
+    const creator = user ? await creatorFor(user) : null;
+    await insertImage(imageId, galleryPrompt, stored, { mode, baseImage, parentId, video, creator, moderation: verdict });
+    return {
+        imageId: String(imageId),
+        contentType: generated.mimeType,
+        imageUrl: `/api/image/${imageId}`,
+        moderation: verdict.status,
+        // Lets the caller caption the image without signing in
+        editToken: auth.imageEditToken(String(imageId))
+    };
+}
 
-        // Use correct Neynar API endpoint and headers
-        const url = `https://api.neynar.com/v2/farcaster/user/bulk?fids=${encodeURIComponent(fid)}`;
-        console.log(`🔍 Neynar URL: ${url}`);
+// A generation that fails for good does not count against the daily quota,
+// unless it was blocked for safety reasons; neither do candidates that failed
+function refundQuotaOnFailure(job, usage) {
+    job.promise.then((result) => {
+        if (!result.failedCandidates) return;
+        quota.refund(usage, result.failedCandidates).catch(err => console.error('Failed to refund quota:', err));
+    }, (err) => {
+        if (err instanceof ModerationError || err instanceof SafetyBlockError) return;
+        quota.refund(usage).catch(err => console.error('Failed to refund quota:', err));
+    });
+}
 
-        const neynarResponse = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'x-api-key': process.env.NEYNAR_API_KEY || 'NEYNAR_API_DOCS',
-                'accept': 'application/json'
-            }
+// Clients opt into jobs with `async: true` or `Prefer: respond-async`
+function wantsAsync(req) {
+    return req.body?.async === true || /respond-async/i.test(req.get('prefer') || '');
+}
+
+// Answer with the job for async clients; otherwise wait and send the image like before
+async function respondWithJob(req, res, job, extra = {}) {
+    if (wantsAsync(req)) {
+        return res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`,
+            ...extra
         });
+    }
 
-        if (!neynarResponse.ok) {
-            const text = await neynarResponse.text();
-            console.error('Neynar API error:', neynarResponse.status, text);
-            return res.status(502).json({ error: `Neynar ${neynarResponse.status}`, detail: text });
-        }
+    const result = await job.promise;
+    const output = job.output;
+    delete job.output;
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('X-Image-Id', result.imageId);
+    return res.status(200).send(output);
+}
 
-        const data = await neynarResponse.json();
-        console.log('🔍 Neynar response:', JSON.stringify(data, null, 2));
+// Generation job status
+app.get('/api/jobs/:id', (req, res) => {
+    const job = generationJobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(describeJob(job));
+});
 
-        const user = data?.users?.[0];
-        const pfpUrl = user?.pfp_url || user?.profile?.pfp_url || null;
+// Generation job progress as Server-Sent Events; closes once the job is done or failed
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = generationJobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-        if (!pfpUrl) {
-            console.log(`No PFP found for FID: ${fid}`);
-            return res.status(404).json({ error: 'No PFP found for this user' });
-        }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
 
-        console.log(`✅ Found PFP for FID ${fid}: ${pfpUrl}`);
-        res.json({ pfpUrl });
+    const send = (state) => {
+        res.write(`data: ${JSON.stringify(state)}\n\n`);
+        if (state.status === 'done' || state.status === 'failed') {
+            cleanup();
+            res.end();
+        }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        job.events.off('update', send);
+    };
+
+    job.events.on('update', send);
+    req.on('close', cleanup);
+    send(describeJob(job));
+});
+
+// One generated candidate; private to whoever has the set id and never cached
+app.get('/api/candidates/:id/:index', (req, res) => {
+    try {
+        const candidate = candidateSets.image(req.params.id, req.params.index);
+        res.setHeader('Content-Type', candidate.mimeType);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(candidate.data);
     } catch (err) {
-        console.error('PFP fetch error:', err);
-        res.status(500).json({ error: err.message || 'Server error' });
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'server error' });
     }
 });
 
-// API endpoint to serve image directly (for social media previews)
-app.get('/api/image/:id', async (req, res) => {
+// Publish the picked candidate ({ index }) to the gallery; the others are dropped
+app.post('/api/candidates/:id/pick', async (req, res) => {
     try {
-        const imageId = req.params.id;
-        const result = await pool.query('SELECT * FROM images WHERE id = $1', [imageId]);
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Image not found' });
+        const set = candidateSets.claim(req.params.id, req.body?.index);
+        let result;
+        try {
+            result = await publishImage(set.imageId, set.picked, set.picked.moderation, set.publish);
+        } catch (err) {
+            candidateSets.release(set.id);
+            throw err;
+        }
+        candidateSets.remove(set.id);
+        console.log(`🎯 Picked candidate ${req.body.index} of set ${set.id} as image ${result.imageId}`);
+        res.status(201).json(result);
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
         }
+        console.error('Candidate pick error:', err);
+        res.status(500).json({ error: 'Failed to publish candidate' });
+    }
+});
+
+async function insertImage(imageId, prompt, stored, { mode = null, baseImage = null, parentId = null, video = null, creator = null, moderation = null } = {}) {
+    await db.insertImage({
+        id: imageId,
+        prompt,
+        storageDriver: stored.driver,
+        storageKey: stored.key,
+        contentType: stored.contentType,
+        mode,
+        baseImage,
+        parentId,
+        video,
+        creator,
+        moderationStatus: moderation?.status || 'visible',
+        moderationReason: moderation?.reason || null
+    });
+}
+
+// Only images that passed moderation are listed, shared or reacted to
+function isPublished(image) {
+    return Boolean(image) && image.moderation_status === 'visible';
+}
+
+// Banned FIDs and wallets cannot generate, react or report. Answers 403 and
+// returns true for a banned session user.
+async function rejectBanned(req, res) {
+    if (!req.user) return false;
+    const ban = await db.findBan([...new Set([req.user.id, `wallet:${req.user.address}`])]);
+    if (!ban) return false;
+    console.log(`⛔ Banned ${req.user.id} refused`);
+    res.status(403).json({ error: 'This account is banned', detail: ban.reason || undefined });
+    return true;
+}
+
+// Creator columns for a session user; the username comes from Neynar when it answers
+async function creatorFor(user) {
+    const profile = user.fid !== null ? await lookupFarcasterUser(user.fid) : null;
+    return { fid: user.fid, username: profile?.username || null, address: user.address };
+}
+
+// Farcaster profile (username, display name, pfp) by FID via Neynar, cached for an hour
+// (a minute after a failure). Returns null when the user is unknown or Neynar is unavailable.
+const farcasterUsers = new Map();
+const FARCASTER_USER_TTL_MS = 60 * 60 * 1000;
+const FARCASTER_USER_RETRY_MS = 60 * 1000;
 
-        const image = result.rows[0];
+async function lookupFarcasterUser(fid) {
+    const cached = farcasterUsers.get(String(fid));
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
 
-        // Fetch image from Cloudinary and serve directly
-        const response = await fetch(image.cloudinary_url);
+    let user = null;
+    try {
+        const response = await fetch(`https://api.neynar.com/v2/farcaster/user/bulk?fids=${encodeURIComponent(fid)}`, {
+            headers: {
+                'x-api-key': process.env.NEYNAR_API_KEY || 'NEYNAR_API_DOCS',
+                'accept': 'application/json'
+            },
+            signal: AbortSignal.timeout(5000)
+        });
         if (!response.ok) {
-            return res.status(404).json({ error: 'Image not found on Cloudinary' });
+            console.error(`Neynar user lookup failed for FID ${fid}:`, response.status);
+            farcasterUsers.set(String(fid), { user: null, expiresAt: Date.now() + FARCASTER_USER_RETRY_MS });
+            return null;
+        }
+        const found = (await response.json())?.users?.[0];
+        if (found) {
+            user = {
+                fid: Number(fid),
+                username: found.username || null,
+                displayName: found.display_name || null,
+                pfpUrl: found.pfp_url || found.profile?.pfp_url || null
+            };
         }
-
-        const imageBuffer = await response.arrayBuffer();
-        res.setHeader('Content-Type', 'image/png');
-        res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-        res.send(Buffer.from(imageBuffer));
     } catch (err) {
-        console.error('Database error:', err);
-        res.status(500).json({ error: 'Database error' });
+        console.error(`Neynar user lookup failed for FID ${fid}:`, err.message);
+        farcasterUsers.set(String(fid), { user: null, expiresAt: Date.now() + FARCASTER_USER_RETRY_MS });
+        return null;
     }
-});
+    farcasterUsers.set(String(fid), { user, expiresAt: Date.now() + FARCASTER_USER_TTL_MS });
+    return user;
+}
 
-// API endpoint for dynamic Farcaster embed with generated image
-app.get('/api/farcaster-embed/:id', async (req, res) => {
-    try {
-        const imageId = req.params.id;
-        const result = await pool.query('SELECT * FROM images WHERE id = $1', [imageId]);
+// Storage ref for the file an image row is served as: its captioned copy when it has one
+function imageRef(row) {
+    if (row.caption_storage_key) {
+        return { driver: row.caption_storage_driver, key: row.caption_storage_key };
+    }
+    return originalImageRef(row);
+}
 
-        if (result.rows.length === 0) {
-            return res.status(404).send('Image not found');
-        }
+// Storage ref for the image as generated, before any caption
+function originalImageRef(row) {
+    if (row.storage_key) {
+        return { driver: row.storage_driver, key: row.storage_key };
+    }
+    return { driver: 'cloudinary', key: row.cloudinary_public_id, url: row.cloudinary_url };
+}
 
-        const image = result.rows[0];
-        const imageUrl = `${req.protocol}://${req.get('host')}/api/image/${imageId}`;
-        // Add cache-busting parameter to force Farcaster to refresh image cache
-        const cloudinaryUrl = `${image.cloudinary_url}?t=${Date.now()}`;
+function imageContentType(row) {
+    return (row.caption_storage_key ? row.caption_content_type : row.content_type) || null;
+}
 
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Generate yours with Degenify 🎩✨</title>
-    <meta name="description" content="Check out this epic degeneration! Generate yours with Degenify 🎩✨">
-    <link rel="icon" type="image/png" href="/hat-logo.png">
-    
-    <!-- Farcaster Mini App Meta Tags with Generated Image -->
+// Absolute URL for embeds and share pages; private stores go through /api/image
+function publicImageUrl(req, row) {
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const url = storage.url(imageRef(row));
+    if (!url) return `${origin}/api/image/${row.id}`;
+    return url.startsWith('/') ? `${origin}${url}` : url;
+}
+
+// Video version of an animation, or null for still images and GIF-only animations
+function videoRef(row) {
+    return row.video_storage_key ? { driver: row.video_storage_driver, key: row.video_storage_key } : null;
+}
+
+function videoUrl(row) {
+    const ref = videoRef(row);
+    return ref ? storage.url(ref) || `/api/video/${row.id}` : null;
+}
+
+// og:video tags for animations with a video, so players that support it show the loop
+function videoMetaHtml(req, row) {
+    const url = videoUrl(row);
+    if (!url) return '';
+    const absolute = url.startsWith('/') ? `${req.protocol}://${req.get('host')}${url}` : url;
+    return `
+    <meta property="og:video" content="${absolute}">
+    <meta property="og:video:secure_url" content="${absolute}">
+    <meta property="og:video:type" content="${row.video_content_type}">`;
+}
+
+// Gallery card payload shared by the gallery endpoints
+function galleryImage(row) {
+    return {
+        id: row.id,
+        prompt: row.prompt,
+        mode: row.mode || null,
+        baseImage: row.base_image || null,
+        imageData: storage.url(imageRef(row)) || `/api/image/${row.id}`, // Frontend will use this as image src
+        caption: row.caption ? JSON.parse(row.caption) : null,
+        parentId: row.parent_id || null,
+        animated: row.content_type === 'image/gif',
+        videoUrl: videoUrl(row),
+        creator: imageCreator(row),
+        featured: Boolean(row.featured_at),
+        pinned: Boolean(row.pinned_at),
+        timestamp: row.timestamp
+    };
+}
+
+// Credited creator of an image row, or null when it is anonymous
+function imageCreator(row) {
+    const fid = row.creator_fid ?? null;
+    if (fid === null && !row.creator_address) return null;
+    return {
+        fid: fid !== null ? Number(fid) : null,
+        username: row.creator_username || null,
+        address: row.creator_address || null
+    };
+}
+
+// Opaque keyset cursor: the (timestamp, id) of the last image on the previous page
+function encodeGalleryCursor(row) {
+    const t = new Date(row.timestamp).toISOString();
+    return Buffer.from(JSON.stringify({ t, id: String(row.id) })).toString('base64url');
+}
+
+function decodeGalleryCursor(value) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        const timestamp = new Date(t);
+        if (typeof id !== 'string' || Number.isNaN(timestamp.getTime())) return null;
+        return { timestamp, id };
+    } catch {
+        return null;
+    }
+}
+
+// Parse a ?from=/?to= bound; plain dates cover the whole day
+function parseGalleryDate(value, endOfDay) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+}
+
+// Parse the gallery query string shared by the gallery endpoints; throws 400 on bad input
+function parseGalleryQuery(query) {
+    const filters = { limit: GALLERY_DEFAULT_LIMIT };
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > GALLERY_MAX_LIMIT) {
+            throw new HttpError(400, 'Invalid limit', `limit must be an integer between 1 and ${GALLERY_MAX_LIMIT}`);
+        }
+        filters.limit = limit;
+    }
+    if (query.sort !== undefined) {
+        if (!GALLERY_SORTS.includes(query.sort)) {
+            throw new HttpError(400, 'Invalid sort', `sort must be one of: ${GALLERY_SORTS.join(', ')}`);
+        }
+        filters.sort = query.sort;
+    }
+    if (query.window !== undefined) {
+        if (!Object.hasOwn(GALLERY_WINDOWS, query.window)) {
+            throw new HttpError(400, 'Invalid window', `window must be one of: ${Object.keys(GALLERY_WINDOWS).join(', ')}`);
+        }
+        filters.window = query.window;
+    }
+    // New is keyset-paginated; ranked feeds page by offset since scores keep moving
+    if (query.cursor) {
+        if (filters.sort && filters.sort !== 'new') {
+            filters.offset = decodeOffsetCursor(String(query.cursor));
+            if (filters.offset === null) throw new HttpError(400, 'Invalid cursor');
+        } else {
+            filters.cursor = decodeGalleryCursor(String(query.cursor));
+            if (!filters.cursor) throw new HttpError(400, 'Invalid cursor');
+        }
+    }
+    if (query.mode) {
+        if (!presets.get(query.mode)) {
+            throw new HttpError(400, 'Invalid mode', `mode must be a preset id: ${presets.list().map(p => p.id).join(', ')}`);
+        }
+        filters.mode = query.mode;
+    }
+    for (const [key, endOfDay] of [['from', false], ['to', true]]) {
+        if (!query[key]) continue;
+        filters[key] = parseGalleryDate(String(query[key]), endOfDay);
+        if (!filters[key]) throw new HttpError(400, `Invalid ${key} date`, 'Use an ISO 8601 date or timestamp');
+    }
+    // A window only keeps images created within it
+    if (filters.window && GALLERY_WINDOWS[filters.window]) {
+        const since = new Date(Date.now() - GALLERY_WINDOWS[filters.window]);
+        if (!filters.from || filters.from < since) filters.from = since;
+    }
+    return filters;
+}
+
+// API endpoint to page through generated images: newest first, or ranked by engagement
+//   ?limit=24&cursor=<nextCursor>&mode=mascot|cyberpunk|pfp&from=2025-01-01&to=2025-01-31
+//   ?sort=new|trending|top&window=day|week|all
+app.get('/api/gallery', auth.optionalUser, async (req, res) => {
+    try {
+        const { sort = 'new', offset = 0, ...filters } = parseGalleryQuery(req.query);
+        // One extra row tells us whether there is another page
+        const ranked = sort !== 'new';
+        const rows = ranked
+            ? await db.listRankedImages({ ...filters, sort, offset, limit: filters.limit + 1 })
+            : await db.listImages({ ...filters, limit: filters.limit + 1 });
+        const page = rows.slice(0, filters.limit);
+        let nextCursor = null;
+        if (rows.length > filters.limit) {
+            nextCursor = ranked ? encodeOffsetCursor(offset + page.length) : encodeGalleryCursor(page[page.length - 1]);
+        }
+        // Pinned images lead the first page of the unfiltered new feed
+        const showPinned = !ranked && !filters.cursor && !filters.mode && !filters.from && !filters.to;
+        const pinned = showPinned ? await db.listPinnedImages(GALLERY_PINNED_LIMIT) : [];
+        res.json({
+            sort,
+            pinned: await withReactions(pinned.map(galleryImage), req.user),
+            images: await withReactions(page.map(galleryImage), req.user),
+            nextCursor
+        });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Add reaction counts, whether the signed-in user reacted, and tip totals to gallery images
+async function withReactions(images, user) {
+    const ids = images.map(img => img.id);
+    const counts = await db.getReactionCounts(ids);
+    const reacted = new Set(user ? await db.listReactedImageIds(ids, user.id) : []);
+    const tips = await db.getTipTotals(ids);
+    return images.map(img => ({
+        ...img,
+        reactions: counts[img.id] || 0,
+        reacted: reacted.has(img.id),
+        tips: formatTipTotal(tips[img.id])
+    }));
+}
+
+// Search and ranked-feed cursors carry the offset into the results
+function encodeOffsetCursor(offset) {
+    return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeOffsetCursor(value) {
+    try {
+        const { o } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        return Number.isInteger(o) && o >= 0 ? o : null;
+    } catch {
+        return null;
+    }
+}
+
+// Full-text prompt search, best match first
+//   ?q=surfing&q="space shuttle"&q=cat -dog&q=space or ocean, plus the gallery's limit/mode/from/to
+app.get('/api/search', auth.optionalUser, async (req, res) => {
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q) return res.status(400).json({ error: 'q required' });
+        if (q.length > SEARCH_MAX_QUERY_LENGTH) {
+            return res.status(400).json({ error: 'Query too long', detail: `q is limited to ${SEARCH_MAX_QUERY_LENGTH} characters` });
+        }
+
+        const filters = parseGalleryQuery({ ...req.query, sort: undefined, cursor: undefined });
+        let offset = 0;
+        if (req.query.cursor) {
+            offset = decodeOffsetCursor(String(req.query.cursor));
+            if (offset === null) return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const rows = await db.searchImages({ ...filters, query: q, offset, limit: filters.limit + 1 });
+        const page = rows.slice(0, filters.limit);
+        res.json({
+            query: q,
+            images: await withReactions(page.map(row => ({ ...galleryImage(row), rank: Number(row.rank) })), req.user),
+            nextCursor: rows.length > filters.limit ? encodeOffsetCursor(offset + page.length) : null
+        });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Search error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Sign-in: get a nonce, sign an EIP-4361 message containing it, exchange it for a session token
+app.post('/api/auth/nonce', async (req, res) => {
+    try {
+        res.json(await auth.issueNonce());
+    } catch (err) {
+        console.error('Nonce error:', err);
+        res.status(500).json({ error: 'Could not create nonce' });
+    }
+});
+
+app.post('/api/auth/verify', async (req, res) => {
+    try {
+        const { message, signature } = req.body || {};
+        const session = await auth.verifySignIn({ message, signature, host: req.get('host') });
+        console.log(`🔐 Signed in ${session.id}`);
+        res.json(session);
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Sign-in error:', err);
+        res.status(500).json({ error: 'Sign-in failed' });
+    }
+});
+
+app.get('/api/auth/session', auth.requireUser, (req, res) => {
+    res.json(req.user);
+});
+
+// Reactions: one per signed-in FID or wallet per image
+app.get('/api/images/:id/reactions', auth.optionalUser, async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        if (!isPublished(await db.getImage(imageId))) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        const counts = await db.getReactionCounts([imageId]);
+        const reacted = req.user ? (await db.listReactedImageIds([imageId], req.user.id)).length > 0 : false;
+        res.json({ imageId, count: counts[imageId], reacted });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Toggle the signed-in user's reaction
+app.post('/api/images/:id/reactions', auth.requireUser, async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        if (!isPublished(await db.getImage(imageId))) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (await rejectBanned(req, res)) return;
+        const { reacted, count, removedAt } = await db.toggleReaction({
+            imageId,
+            actor: req.user.id,
+            fid: req.user.fid,
+            address: req.user.address
+        });
+        // Withdrawing a reaction takes back exactly what it added to trending
+        ranking.track(imageId, 'reaction', reacted ? {} : { at: removedAt, undo: true });
+        res.json({ imageId, count, reacted });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// The published images a remix was made from, oldest first; stops at a deleted or unpublished one
+async function remixChain(image) {
+    const chain = [];
+    let parentId = image.parent_id;
+    while (parentId && chain.length < REMIX_CHAIN_DEPTH) {
+        const parent = await db.getImage(parentId);
+        if (!isPublished(parent)) break;
+        chain.unshift(parent);
+        parentId = parent.parent_id;
+    }
+    return chain;
+}
+
+// "Remix of @alice" credit and the chain of images up to this one, for share pages
+function remixChainHtml(chain, image) {
+    if (chain.length === 0) return '';
+    const parent = chain.at(-1);
+    const parentCreator = imageCreator(parent);
+    const step = (row, current) => `
+                        <li${current ? ' class="current"' : ''}><a href="/api/share/${encodeURIComponent(row.id)}"><img src="/api/image/${encodeURIComponent(row.id)}" alt="" loading="lazy">${escapeHtml(creatorLabel(imageCreator(row)))}</a></li>`;
+    return `
+                    <p class="text-muted-foreground text-center">🔁 Remix of <a href="/api/share/${encodeURIComponent(parent.id)}" class="creator-link">${parentCreator ? `${escapeHtml(creatorLabel(parentCreator))}'s image` : 'an image'}</a></p>
+                    <ol class="remix-chain">${chain.map(row => step(row, false)).join('')}${step(image, true)}
+                    </ol>`;
+}
+
+// How a creator is named in credits: @username, FID, short wallet address, or anon
+function creatorLabel(creator) {
+    if (!creator) return 'anon';
+    if (creator.fid !== null) return creator.username ? `@${creator.username}` : `FID ${creator.fid}`;
+    return `${creator.address.slice(0, 6)}…${creator.address.slice(-4)}`;
+}
+
+// "Created by" line for share pages, linking to the creator's profile when they have a FID
+function creatorCreditHtml(creator) {
+    if (!creator) return '';
+    if (creator.fid !== null) {
+        return `Created by <a href="/?creator=${creator.fid}" class="creator-link">${escapeHtml(creatorLabel(creator))}</a> 🎩 🔥`;
+    }
+    return `Created by ${escapeHtml(creatorLabel(creator))} 🎩 🔥`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// A creator's images, newest first; same paging and filters as /api/gallery
+app.get('/api/users/:fid/images', auth.optionalUser, async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.fid)) {
+            return res.status(400).json({ error: 'Invalid fid' });
+        }
+        const fid = Number(req.params.fid);
+        const filters = parseGalleryQuery({ ...req.query, sort: undefined, window: undefined });
+        const rows = await db.listImages({ ...filters, creatorFid: fid, limit: filters.limit + 1 });
+        const page = rows.slice(0, filters.limit);
+
+        // Prefer the live profile; fall back to the username saved with their images
+        const profile = await lookupFarcasterUser(fid);
+        res.json({
+            user: {
+                fid,
+                username: profile?.username || page[0]?.creator_username || null,
+                displayName: profile?.displayName || null,
+                pfpUrl: profile?.pfpUrl || null
+            },
+            images: await withReactions(page.map(galleryImage), req.user),
+            nextCursor: rows.length > filters.limit ? encodeGalleryCursor(page[page.length - 1]) : null
+        });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Share beacon from the share buttons; counts towards trending and top, once per IP per image
+app.post('/api/images/:id/shares', async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        if (SHARE_BEACON_LIMIT > 0) {
+            const hit = await db.hitRateLimit(`shares:ip:${req.ip}`, new Date(Date.now() + 60000));
+            if (hit.count > SHARE_BEACON_LIMIT) {
+                res.set('Retry-After', String(Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 1)));
+                return res.status(429).json({ error: 'Too many shares, slow down' });
+            }
+        }
+        if (!isPublished(await db.getImage(imageId))) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        ranking.trackOnce(imageId, 'share', `ip:${req.ip}`);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Report an image to the admins; one report per user (or IP when signed out) per image
+app.post('/api/images/:id/reports', auth.optionalUser, async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        const { reason, note } = req.body || {};
+        if (!REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({ error: 'Invalid reason', detail: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+        }
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > REPORT_NOTE_MAX_LENGTH)) {
+            return res.status(400).json({ error: 'Invalid note', detail: `note must be text of at most ${REPORT_NOTE_MAX_LENGTH} characters` });
+        }
+        const image = await db.getImage(imageId);
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (await rejectBanned(req, res)) return;
+
+        const report = await db.createReport({ imageId, reporter: req.user?.id || `ip:${req.ip}`, reason, note: note?.trim() || null });
+        if (!report) {
+            return res.status(200).json({ reported: true, duplicate: true });
+        }
+        console.log(`🚩 Image ${imageId} reported (${reason})`);
+
+        // Enough reports take the image out of the gallery until an admin looks at it. Only
+        // FIDs count: wallets and IPs are free to make, so anyone could mass-report with them.
+        if (REPORT_REVIEW_THRESHOLD > 0 && report.reporter.startsWith('fid:')
+            && await db.countOpenReports(imageId, { fidOnly: true }) >= REPORT_REVIEW_THRESHOLD) {
+            await db.updateImage(imageId, { moderationStatus: 'pending', moderationReason: 'reports' });
+            await db.addAuditEntry({ admin: 'system', action: 'set_status', targetType: 'image', targetId: imageId, detail: { from: 'visible', to: 'pending', reason: 'reports' } });
+            console.log(`⏳ Image ${imageId} sent to review after ${REPORT_REVIEW_THRESHOLD} FID reports`);
+        }
+        res.status(201).json({ reported: true });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Meme captions: top/bottom text rendered onto a stored copy that download, share and
+// embeds serve from then on. The original is kept; captioning again starts from it.
+app.post('/api/images/:id/caption', auth.optionalUser, async (req, res) => {
+    try {
+        const image = await db.getImage(req.params.id);
+        if (!image || image.moderation_status === 'hidden') {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (!canEditImage(req, image)) {
+            return res.status(403).json({ error: 'Only the creator can caption this image', detail: 'Sign in as the creator or send the X-Edit-Token from the generation result' });
+        }
+        if (await rejectBanned(req, res)) return;
+        // Captions are drawn on a still image; they would flatten an animation
+        if (image.content_type === 'image/gif') {
+            return res.status(400).json({ error: 'Animations cannot be captioned' });
+        }
+
+        const caption = captions.parse(req.body || {});
+        const text = [caption.top, caption.bottom].filter(Boolean).join('\n');
+        if (text) await moderation.checkPrompt(text);
+
+        const original = await storage.read(originalImageRef(image));
+        if (!original) {
+            return res.status(404).json({ error: 'Image not found in storage' });
+        }
+        const rendered = await captions.render(original.data, caption);
+        // A new key per caption, so caches never hold on to an older one
+        const stored = await storage.put('captioned', `${image.id}-${Date.now()}`, rendered.data, rendered.mimeType);
+        const before = await db.setImageCaption(image.id, {
+            caption: JSON.stringify(caption),
+            storageDriver: stored.driver,
+            storageKey: stored.key,
+            contentType: stored.contentType
+        });
+        await removeCaptionFile(before);
+        console.log(`💬 Image ${image.id} captioned`);
+        res.json(captionResponse(await db.getImage(image.id)));
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Caption error:', err);
+        res.status(500).json({ error: 'Failed to caption image' });
+    }
+});
+
+// Back to the uncaptioned original
+app.delete('/api/images/:id/caption', auth.optionalUser, async (req, res) => {
+    try {
+        const image = await db.getImage(req.params.id);
+        if (!image || image.moderation_status === 'hidden') {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (!canEditImage(req, image)) {
+            return res.status(403).json({ error: 'Only the creator can caption this image', detail: 'Sign in as the creator or send the X-Edit-Token from the generation result' });
+        }
+        await removeCaptionFile(await db.setImageCaption(image.id, {}));
+        res.json(captionResponse(await db.getImage(image.id)));
+    } catch (err) {
+        console.error('Caption error:', err);
+        res.status(500).json({ error: 'Failed to remove caption' });
+    }
+});
+
+// Creators (by session) and whoever holds the image's edit token may change it
+function canEditImage(req, image) {
+    if (auth.verifyImageEditToken(image.id, req.get('x-edit-token'))) return true;
+    if (!req.user) return false;
+    if (image.creator_fid !== null && image.creator_fid !== undefined) return Number(image.creator_fid) === req.user.fid;
+    return Boolean(image.creator_address) && image.creator_address.toLowerCase() === req.user.address?.toLowerCase();
+}
+
+function captionResponse(row) {
+    return {
+        imageId: row.id,
+        caption: row.caption ? JSON.parse(row.caption) : null,
+        imageUrl: storage.url(imageRef(row)) || `/api/image/${row.id}`,
+        originalUrl: `/api/image/${row.id}?original=1`
+    };
+}
+
+// Caption files are replaced, never edited; a failed delete only leaves an orphaned file
+async function removeCaptionFile(row) {
+    if (!row?.caption_storage_key) return;
+    await storage.remove({ driver: row.caption_storage_driver, key: row.caption_storage_key })
+        .catch(err => console.error(`Failed to remove caption file ${row.caption_storage_key}:`, err));
+}
+
+// API endpoint to get user's PFP from FID (server-side Neynar API call)
+app.post('/api/get-user-pfp', async (req, res) => {
+    try {
+        const { fid } = req.body;
+        if (!fid) {
+            return res.status(400).json({ error: 'FID required' });
+        }
+
+        console.log(`🔍 Fetching PFP for FID: ${fid}`);
+
+        // Use Neynar API to get user data by FID
+        const neynarResponse = await fetch(`https://api.neynar.com/v2/farcaster/user?fid=${fid}`, {
+            headers: {
+                'api_key': process.env.NEYNAR_API_KEY || 'NEYNAR_API_DOCS' // Use env var or fallback
+            }
+        });
+
+        if (!neynarResponse.ok) {
+            console.error('Neynar API error:', neynarResponse.status, neynarResponse.statusText);
+            return res.status(502).json({ error: 'Failed to fetch user data from Neynar' });
+        }
+
+        const userData = await neynarResponse.json();
+        const pfpUrl = userData.result?.user?.pfp_url;
+
+        if (!pfpUrl) {
+            console.log(`No PFP found for FID: ${fid}`);
+            return res.status(404).json({ error: 'No PFP found for this user' });
+        }
+
+        console.log(`✅ Found PFP for FID ${fid}: ${pfpUrl}`);
+        res.json({ pfpUrl: pfpUrl });
+    } catch (err) {
+        console.error('PFP fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch PFP', details: err.message });
+    }
+});
+
+// API endpoint to get PFP URL from FID (simplified version for miniapp)
+app.post('/api/fc-pfp', async (req, res) => {
+    try {
+        const { fid } = req.body;
+        if (!fid) {
+            return res.status(400).json({ error: 'Missing fid' });
+        }
+
+        console.log(`🔍 Fetching PFP for FID: ${fid}`);
+        console.log(`🔍 API Key present: ${process.env.NEYNAR_API_KEY ? 'Yes' : 'No'}`);
+
+        // Use correct Neynar API endpoint and headers
+        const url = `https://api.neynar.com/v2/farcaster/user/bulk?fids=${encodeURIComponent(fid)}`;
+        console.log(`🔍 Neynar URL: ${url}`);
+
+        const neynarResponse = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'x-api-key': process.env.NEYNAR_API_KEY || 'NEYNAR_API_DOCS',
+                'accept': 'application/json'
+            }
+        });
+
+        if (!neynarResponse.ok) {
+            const text = await neynarResponse.text();
+            console.error('Neynar API error:', neynarResponse.status, text);
+            return res.status(502).json({ error: `Neynar ${neynarResponse.status}`, detail: text });
+        }
+
+        const data = await neynarResponse.json();
+        console.log('🔍 Neynar response:', JSON.stringify(data, null, 2));
+
+        const user = data?.users?.[0];
+        const pfpUrl = user?.pfp_url || user?.profile?.pfp_url || null;
+
+        if (!pfpUrl) {
+            console.log(`No PFP found for FID: ${fid}`);
+            return res.status(404).json({ error: 'No PFP found for this user' });
+        }
+
+        console.log(`✅ Found PFP for FID ${fid}: ${pfpUrl}`);
+        res.json({ pfpUrl });
+    } catch (err) {
+        console.error('PFP fetch error:', err);
+        res.status(500).json({ error: err.message || 'Server error' });
+    }
+});
+
+// API endpoint to serve image directly (for social media previews); the captioned
+// version when there is one, ?original=1 for the image as generated
+app.get('/api/image/:id', async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        const image = await db.getImage(imageId);
+
+        // Pending images are served to whoever has the link (their creator) but not cached
+        if (!image || image.moderation_status === 'hidden') {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        // Read the image from storage and serve directly
+        const original = req.query.original === '1';
+        const file = await storage.read(original ? originalImageRef(image) : imageRef(image));
+        if (!file) {
+            return res.status(404).json({ error: 'Image not found in storage' });
+        }
+
+        res.setHeader('Content-Type', (original ? image.content_type : imageContentType(image)) || file.contentType || 'image/png');
+        // Captions can change, so the captionable URL is only cached briefly
+        const maxAge = original || !image.caption_storage_key ? 31536000 : 300;
+        res.setHeader('Cache-Control', isPublished(image) ? `public, max-age=${maxAge}` : 'private, no-store');
+        res.send(file.data);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// An animation's video; supports single byte ranges, which Safari needs to play it
+app.get('/api/video/:id', async (req, res) => {
+    try {
+        const image = await db.getImage(req.params.id);
+        if (!image || image.moderation_status === 'hidden' || !videoRef(image)) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+        const file = await storage.read(videoRef(image));
+        if (!file) {
+            return res.status(404).json({ error: 'Video not found in storage' });
+        }
+
+        res.setHeader('Content-Type', image.video_content_type || file.contentType || 'video/mp4');
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Cache-Control', isPublished(image) ? 'public, max-age=31536000' : 'private, no-store');
+        const range = /^bytes=(\d*)-(\d*)$/.exec(req.get('range') || '');
+        if (range && (range[1] || range[2])) {
+            const size = file.data.length;
+            // "bytes=-500" is the last 500 bytes
+            const start = range[1] ? Number(range[1]) : Math.max(size - Number(range[2]), 0);
+            const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+            if (start > end || start >= size) {
+                res.setHeader('Content-Range', `bytes */${size}`);
+                return res.status(416).end();
+            }
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+            return res.status(206).send(file.data.subarray(start, end + 1));
+        }
+        res.send(file.data);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint for dynamic Farcaster embed with generated image
+app.get('/api/farcaster-embed/:id', async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        const image = await db.getImage(imageId);
+
+        if (!isPublished(image)) {
+            return res.status(404).send('Image not found');
+        }
+        ranking.trackOnce(imageId, 'view', `ip:${req.ip}`);
+        const imageUrl = `${req.protocol}://${req.get('host')}/api/image/${imageId}`;
+        // Add cache-busting parameter to force Farcaster to refresh image cache
+        const storedImageUrl = `${publicImageUrl(req, image)}?t=${Date.now()}`;
+
+        const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Generate yours with Degenify 🎩✨</title>
+    <meta name="description" content="Check out this epic degeneration! Generate yours with Degenify 🎩✨">
+    <link rel="icon" type="image/png" href="/hat-logo.png">
+    
+    <!-- Farcaster Mini App Meta Tags with Generated Image -->
     <meta name="fc:miniapp" content='{
         "version": "1",
-        "imageUrl": "${cloudinaryUrl}",
+        "imageUrl": "${storedImageUrl}",
         "button": {
             "title": "Generate yours 🎩✨",
             "action": {
@@ -517,12 +1696,12 @@ app.get('/api/farcaster-embed/:id', async (req, res) => {
     <meta property="og:url" content="${req.protocol}://${req.get('host')}/api/farcaster-embed/${imageId}">
     <meta property="og:title" content="Generate yours with Degenify 🎩✨">
     <meta property="og:description" content="Check out this epic degeneration! Generate yours with Degenify 🎩✨">
-    <meta property="og:image" content="${cloudinaryUrl}">
-    <meta property="og:image:url" content="${cloudinaryUrl}">
+    <meta property="og:image" content="${storedImageUrl}">
+    <meta property="og:image:url" content="${storedImageUrl}">
     <meta property="og:image:width" content="1024">
     <meta property="og:image:height" content="1024">
-    <meta property="og:image:type" content="image/png">
-    <meta property="og:image:alt" content="Epic Degeneration by Degenify">
+    <meta property="og:image:type" content="${imageContentType(image) || 'image/png'}">
+    <meta property="og:image:alt" content="Epic Degeneration by Degenify">${videoMetaHtml(req, image)}
     <meta property="og:site_name" content="Degenify">
     <meta property="og:locale" content="en_US">
     
@@ -533,7 +1712,7 @@ app.get('/api/farcaster-embed/:id', async (req, res) => {
     <meta name="twitter:url" content="${req.protocol}://${req.get('host')}/api/farcaster-embed/${imageId}">
     <meta name="twitter:title" content="Generate yours with Degenify 🎩✨">
     <meta name="twitter:description" content="Check out this epic degeneration! Generate yours with Degenify 🎩✨">
-    <meta name="twitter:image" content="${cloudinaryUrl}">
+    <meta name="twitter:image" content="${storedImageUrl}">
     <meta name="twitter:image:alt" content="Epic Degeneration by Degenify">
     
     <style>
@@ -608,11 +1787,11 @@ app.get('/api/farcaster-embed/:id', async (req, res) => {
 </head>
 <body>
     <div class="container">
-        <img src="${cloudinaryUrl}" alt="Generated Degeneration" class="image">
+        <img src="${storedImageUrl}" alt="Generated Degeneration" class="image">
         <h1 class="title">Generate yours! 🎩✨</h1>
         <p class="subtitle">Check out this epic degeneration created with Degenify!<br>Create your own unique masterpiece now.</p>
         <a href="https://www.degenify.xyz" class="cta-button">Start Creating 🚀</a>
-        <div class="prompt">"${image.prompt}"</div>
+        <div class="prompt">"${escapeHtml(image.prompt)}"</div>
     </div>
 </body>
 </html>`;
@@ -629,16 +1808,21 @@ app.get('/api/farcaster-embed/:id', async (req, res) => {
 app.get('/api/share/:id', async (req, res) => {
     try {
         const imageId = req.params.id;
-        const result = await pool.query('SELECT * FROM images WHERE id = $1', [imageId]);
+        const image = await db.getImage(imageId);
 
-        if (result.rows.length === 0) {
+        if (!isPublished(image)) {
             return res.status(404).send('Image not found');
         }
-
-        const image = result.rows[0];
+        ranking.trackOnce(imageId, 'view', `ip:${req.ip}`);
         const imageUrl = `${req.protocol}://${req.get('host')}/api/image/${imageId}`;
         // Add cache-busting parameter to force Farcaster to refresh image cache
-        const cloudinaryUrl = `${image.cloudinary_url}?t=${Date.now()}`;
+        const storedImageUrl = `${publicImageUrl(req, image)}?t=${Date.now()}`;
+        const reactionCount = (await db.getReactionCounts([imageId]))[imageId];
+        const creatorCredit = creatorCreditHtml(imageCreator(image));
+        const remixCount = await db.countRemixes(imageId);
+        const mint = nftCollection ? await db.getMint(NFT_CONTRACT, imageId) : null;
+        const tipTotal = formatTipTotal((await db.getTipTotals([imageId]))[imageId]);
+        const chain = await remixChain(image);
 
         const html = `
 <!DOCTYPE html>
@@ -658,12 +1842,12 @@ app.get('/api/share/:id', async (req, res) => {
     <meta property="og:url" content="${req.protocol}://${req.get('host')}/api/share/${imageId}">
     <meta property="og:title" content="Epic Degeneration by Degenify">
     <meta property="og:description" content="Check out this epic degeneration I created with Degenify! 🎩 🔥 $DEGEN">
-    <meta property="og:image" content="${cloudinaryUrl}">
-    <meta property="og:image:url" content="${cloudinaryUrl}">
+    <meta property="og:image" content="${storedImageUrl}">
+    <meta property="og:image:url" content="${storedImageUrl}">
     <meta property="og:image:width" content="1024">
     <meta property="og:image:height" content="1024">
-    <meta property="og:image:type" content="image/png">
-    <meta property="og:image:alt" content="Epic Degeneration by Degenify">
+    <meta property="og:image:type" content="${imageContentType(image) || 'image/png'}">
+    <meta property="og:image:alt" content="Epic Degeneration by Degenify">${videoMetaHtml(req, image)}
     <meta property="og:site_name" content="Degenify">
     <meta property="og:locale" content="en_US">
     
@@ -674,7 +1858,7 @@ app.get('/api/share/:id', async (req, res) => {
     <meta name="twitter:url" content="${req.protocol}://${req.get('host')}/api/share/${imageId}">
     <meta name="twitter:title" content="Epic Degeneration by Degenify">
     <meta name="twitter:description" content="Check out this epic degeneration I created with Degenify! 🎩 🔥 $DEGEN">
-    <meta name="twitter:image" content="${cloudinaryUrl}">
+    <meta name="twitter:image" content="${storedImageUrl}">
     <meta name="twitter:image:alt" content="Epic Degeneration by Degenify">
     
     <!-- Additional meta tags for better compatibility -->
@@ -929,6 +2113,78 @@ app.get('/api/share/:id', async (req, res) => {
             text-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
         }
 
+        .creator-link {
+            color: hsl(var(--primary));
+            font-weight: 600;
+            text-decoration: none;
+        }
+
+        .reaction-count {
+            color: hsl(var(--muted-foreground));
+            font-weight: 600;
+            margin: -1rem 0 2rem 0;
+        }
+
+        .remix-link {
+            display: inline-block;
+            color: hsl(var(--primary));
+            font-weight: 600;
+            text-decoration: none;
+            margin: -1.5rem 0 2rem 0;
+        }
+
+        .remix-chain {
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            list-style: none;
+            padding: 0;
+            margin: 1rem 0 0 0;
+            font-size: 0.8125rem;
+        }
+
+        .remix-chain li + li::before {
+            content: '→';
+            margin-right: 0.5rem;
+            color: hsl(var(--muted-foreground));
+        }
+
+        .remix-chain a {
+            display: inline-flex;
+            align-items: center;
+            gap: 0.375rem;
+            color: hsl(var(--foreground));
+            text-decoration: none;
+        }
+
+        .remix-chain img {
+            width: 2.5rem;
+            height: 2.5rem;
+            border-radius: 0.5rem;
+            object-fit: cover;
+        }
+
+        .remix-chain .current a {
+            font-weight: 700;
+            color: hsl(var(--primary));
+        }
+
+        .report-btn {
+            background: none;
+            border: none;
+            color: hsl(var(--muted-foreground));
+            font: inherit;
+            font-size: 0.8125rem;
+            cursor: pointer;
+            margin: -1.5rem 0 2rem 0;
+        }
+
+        .report-btn:hover {
+            text-decoration: underline;
+        }
+
         /* Share Modal Styles */
         .share-modal-overlay {
             position: fixed;
@@ -1085,8 +2341,9 @@ app.get('/api/share/:id', async (req, res) => {
                         Epic Degeneration
                     </h2>
                     <p class="text-muted-foreground text-center">
-                        Check out this amazing creation! 🎩 🔥
+                        ${creatorCredit || 'Check out this amazing creation! 🎩 🔥'}
                     </p>
+                    ${remixChainHtml(chain, image)}
                 </div>
 
                 <!-- Create Yours Button -->
@@ -1119,10 +2376,13 @@ app.get('/api/share/:id', async (req, res) => {
                                     </svg>
                                 </button>
                             </div>
-                            <p class="prompt-text">${image.prompt}</p>
+                            <p class="prompt-text">${escapeHtml(image.prompt)}</p>
                         </div>
                     </div>
                 </div>
+                <p class="reaction-count">❤️ ${reactionCount} ${reactionCount === 1 ? 'like' : 'likes'}${remixCount ? ` · 🔁 ${remixCount} ${remixCount === 1 ? 'remix' : 'remixes'}` : ''}${tipTotal.count ? ` · 💸 ${tipTotal.amount} DEGEN tipped` : ''}${mint ? ` · 🪙 NFT #${mint.token_id}` : ''}</p>
+                <a href="/?remix=${encodeURIComponent(imageId)}" class="remix-link">🔁 Remix this image</a>
+                <button class="report-btn" onclick="reportImage('${imageId}', this)">🚩 Report this image</button>
             </div>
         </main>
 
@@ -1186,188 +2446,1131 @@ app.get('/api/share/:id', async (req, res) => {
             });
         }
 
-        // Close share modal
-        function closeShareModal() {
-            const shareModals = document.querySelectorAll('.share-modal-overlay');
-            shareModals.forEach(modal => modal.remove());
-            document.body.style.overflow = '';
+        // Close share modal
+        function closeShareModal() {
+            const shareModals = document.querySelectorAll('.share-modal-overlay');
+            shareModals.forEach(modal => modal.remove());
+            document.body.style.overflow = '';
+        }
+
+        // Count a share towards trending; never blocks the share itself
+        function recordShare(imageId) {
+            fetch('/api/images/' + encodeURIComponent(imageId) + '/shares', { method: 'POST', keepalive: true }).catch(() => {});
+        }
+
+        // Share to X (Twitter)
+        function shareToX(imageId) {
+            recordShare(imageId);
+            const shareUrl = window.location.origin + '/api/share/' + imageId;
+            const text = 'Check out this epic degeneration I created with Degenify! 🎩 🔥 \\nCreate yours on ' + window.location.origin + '\\n\\n$DEGEN @degentokenbase';
+            const twitterUrl = 'https://twitter.com/intent/tweet?text=' + encodeURIComponent(text) + '&url=' + encodeURIComponent(shareUrl);
+            window.open(twitterUrl, '_blank');
+            closeShareModal();
+        }
+
+        // Share to Farcaster
+        function shareToFarcaster(imageId) {
+            recordShare(imageId);
+            const shareUrl = window.location.origin + '/api/share/' + imageId;
+            const text = 'Check out this epic degeneration I created with Degenify! 🎩 🔥 \\nCreate yours on degenify[dot]xyz\\n\\n$DEGEN \\n/degen \\n\\n' + shareUrl;
+            const farcasterUrl = 'https://farcaster.xyz/~/compose?text=' + encodeURIComponent(text);
+            window.open(farcasterUrl, '_blank');
+            closeShareModal();
+        }
+
+        // Report to the moderators; a session stored by the main page is sent along
+        const REPORT_REASONS = ${JSON.stringify(REPORT_REASONS)};
+
+        function reportImage(imageId, button) {
+            const answer = prompt('Why are you reporting this image? (' + REPORT_REASONS.join(', ') + ')', 'nsfw');
+            if (answer === null) return;
+            const words = answer.trim().split(/\\s+/);
+            const reason = words.shift().toLowerCase();
+            if (!REPORT_REASONS.includes(reason)) {
+                alert('Please start with one of: ' + REPORT_REASONS.join(', '));
+                return;
+            }
+            let session = null;
+            try { session = JSON.parse(localStorage.getItem('degenifySession') || 'null'); } catch (e) { }
+            const headers = { 'Content-Type': 'application/json' };
+            if (session && new Date(session.expiresAt) > new Date()) headers.Authorization = 'Bearer ' + session.token;
+            button.disabled = true;
+            fetch('/api/images/' + encodeURIComponent(imageId) + '/reports', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ reason, note: words.join(' ') || undefined })
+            })
+                .then(response => response.json().then(data => {
+                    if (!response.ok) throw new Error(data.detail ? data.error + ' - ' + data.detail : (data.error || 'Report failed'));
+                    button.textContent = data.duplicate ? 'You already reported this image' : 'Reported - thanks!';
+                }))
+                .catch(error => {
+                    button.disabled = false;
+                    alert(error.message);
+                });
+        }
+
+        // Download image function
+        function downloadImage(imageId) {
+            fetch('/api/download/' + imageId)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Download failed');
+                    }
+                    return response.blob();
+                })
+                .then(blob => {
+                    const url = window.URL.createObjectURL(blob);
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = 'meme-' + imageId + '.png';
+                    document.body.appendChild(link);
+                    link.click();
+                    document.body.removeChild(link);
+                    window.URL.revokeObjectURL(url);
+                })
+                .catch(error => {
+                    console.error('Download error:', error);
+                    alert('Download failed: ' + error.message);
+                });
+        }
+    </script>
+</body>
+</html>`;
+
+        res.setHeader('Content-Type', 'text/html');
+        res.send(html);
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).send('Server error');
+    }
+});
+
+// API endpoint to download a specific image
+app.get('/api/download/:id', async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        const image = await db.getImage(imageId);
+
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        // Read the image from storage and serve it directly with download headers;
+        // the captioned version unless ?original=1, or an animation's video with ?video=1
+        const original = req.query.original === '1';
+        const video = req.query.video === '1';
+        if (video && !videoRef(image)) {
+            return res.status(404).json({ error: 'This image has no video' });
+        }
+        const file = await storage.read(video ? videoRef(image) : original ? originalImageRef(image) : imageRef(image));
+        if (!file) {
+            return res.status(404).json({ error: 'Image not found in storage' });
+        }
+
+        ranking.trackOnce(imageId, 'download', `ip:${req.ip}`);
+
+        // Set headers for direct download
+        const contentType = (video ? image.video_content_type : original ? image.content_type : imageContentType(image)) || file.contentType || 'image/png';
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="meme-${imageId}.${contentType === 'image/jpeg' ? 'jpg' : contentType.split('/')[1]}"`);
+        res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
+
+        res.send(file.data);
+    } catch (err) {
+        console.error('Download error:', err);
+        res.status(500).json({ error: 'Download failed' });
+    }
+});
+
+// Style presets for the generator toggle; prompt templates stay on the server
+app.get('/api/presets', (req, res) => {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json({
+        presets: presets.list().map(preset => ({
+            id: preset.id,
+            label: preset.label,
+            source: preset.source,
+            icon: preset.icon,
+            maxPromptLength: preset.maxPromptLength,
+            placeholder: preset.placeholder,
+            price: presetPrice(preset),
+            maxCandidates: presetPrice(preset) ? CANDIDATES_MAX_PAID : CANDIDATES_MAX_FREE
+        }))
+    });
+});
+
+// Check if PFP generation requires payment
+app.get('/api/pfp-payment-status', (req, res) => {
+    const price = presetPrice(presets.get('pfp') || {});
+    res.json({
+        requiresPayment: Boolean(price),
+        treasuryAddress: TREASURY_ADDRESS,
+        degenCost: price || DEGEN_COST
+    });
+});
+
+// Payment quote helpers - a quote moves pending -> paid -> claimed -> consumed
+async function createPaymentQuote(user, amount) {
+    return db.createPaymentQuote({
+        nonce: ethers.hexlify(ethers.randomBytes(16)).slice(2),
+        amount,
+        treasuryAddress: TREASURY_ADDRESS,
+        expiresAt: new Date(Date.now() + PAYMENT_QUOTE_TTL_MS),
+        userId: user.id
+    });
+}
+
+function formatPaymentQuote(quote) {
+    return {
+        nonce: quote.nonce,
+        amount: quote.amount,
+        amountWei: ethers.parseUnits(quote.amount, 18).toString(),
+        tokenAddress: DEGEN_CONTRACT,
+        treasuryAddress: quote.treasury_address,
+        chainId: BASE_CHAIN_ID.toString(),
+        expiresAt: new Date(quote.expires_at).toISOString()
+    };
+}
+
+// A transaction's receipt, waiting up to waitMs for one that is not mined yet. A mined transaction is
+// answered straight away: waiting on it would need a new block, which local chains only make on demand.
+async function getReceipt(txHash, waitMs = 0) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt || waitMs <= 0) return receipt;
+    return provider.waitForTransaction(txHash, 1, waitMs).catch(() => null);
+}
+
+// Verify a DEGEN Transfer from `fromAddress` (any sender when null) to `to` (the treasury unless given)
+// of at least `amount` in `txHash`, or of exactly `amount` with `exact`
+async function verifyDegenTransfer({ txHash, fromAddress, amount, exact = false, to: recipient = TREASURY_ADDRESS, waitMs = 0 }) {
+    // Get transaction receipt, optionally waiting for a just-submitted transfer to be mined
+    const tx = await getReceipt(txHash, waitMs);
+    if (!tx || tx.status !== 1) {
+        console.log('❌ Transaction not confirmed or failed');
+        return { valid: false, error: 'Transaction not confirmed or failed' };
+    }
+
+    console.log('✅ Transaction confirmed, checking logs...');
+
+    // Receipts carry no chain id, so check the network the provider is connected to
+    const network = await provider.getNetwork();
+    if (network.chainId !== BASE_CHAIN_ID) {
+        console.log('❌ Transaction not on Base network');
+        return { valid: false, error: 'Transaction not on Base network' };
+    }
+
+    // Find DEGEN Transfer events in transaction logs
+    const logs = tx.logs
+        .filter(l => (l.address || "").toLowerCase() === DEGEN_CONTRACT)
+        .map(l => {
+            try {
+                const ev = ERC20_IFACE.parseLog(l);
+                return ev && { ev, log: l };
+            } catch (e) {
+                console.log('Failed to parse log:', e.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    console.log(`🔍 Found ${logs.length} DEGEN Transfer events`);
+
+    // Look for Transfer to the recipient from the specified address
+    const required = ethers.parseUnits(amount, 18);
+    const match = logs.find(({ ev }) => {
+        if (ev?.name !== 'Transfer') return false;
+
+        const to = ev.args?.to?.toLowerCase();
+        const from = ev.args?.from?.toLowerCase();
+
+        console.log(`🔍 Checking Transfer: from ${from} to ${to}`);
+        console.log(`🔍 Expected: from ${fromAddress ? fromAddress.toLowerCase() : 'anyone'} to ${recipient}`);
+
+        return to === recipient && (!fromAddress || from === fromAddress.toLowerCase()) && (!exact || ev.args.value === required);
+    });
+
+    if (!match) {
+        console.log('❌ No matching DEGEN Transfer found');
+        return { valid: false, error: exact ? `No DEGEN Transfer of exactly ${amount} found` : 'No matching DEGEN Transfer found' };
+    }
+
+    // Check amount
+    const paid = match.ev.args.value;
+
+    console.log(`🔍 Paid: ${paid.toString()}, Required: ${required.toString()}`);
+
+    if (paid < required) {
+        console.log('❌ Insufficient payment amount');
+        return { valid: false, error: 'Insufficient payment amount' };
+    }
+
+    return { valid: true, paid, transfer: transferFromLog(match.log, match.ev) };
+}
+
+function transferFromLog(log, ev) {
+    return {
+        txHash: log.transactionHash.toLowerCase(),
+        logIndex: log.index,
+        fromAddress: ev.args.from.toLowerCase(),
+        amount: ev.args.value,
+        blockNumber: log.blockNumber
+    };
+}
+
+// Scan DEGEN Transfer events to the treasury and add any missing ones to the ledger
+let reconcileRunning = false;
+async function reconcileTreasury() {
+    if (reconcileRunning) return { skipped: true };
+    reconcileRunning = true;
+    try {
+        const latest = await provider.getBlockNumber();
+        const lastScanned = await db.getState('reconcile_block');
+        let fromBlock = lastScanned !== null
+            ? parseInt(lastScanned, 10) + 1
+            : (RECONCILE_START_BLOCK ?? Math.max(0, latest - RECONCILE_BLOCK_RANGE));
+
+        const transferTopic = ERC20_IFACE.getEvent('Transfer').topicHash;
+        const treasuryTopic = ethers.zeroPadValue(TREASURY_ADDRESS, 32);
+        let added = 0;
+
+        while (fromBlock <= latest) {
+            const toBlock = Math.min(fromBlock + RECONCILE_BLOCK_RANGE - 1, latest);
+            const logs = await provider.getLogs({
+                address: DEGEN_CONTRACT,
+                topics: [transferTopic, null, treasuryTopic],
+                fromBlock,
+                toBlock
+            });
+
+            for (const log of logs) {
+                const ev = ERC20_IFACE.parseLog(log);
+                if (!ev) continue;
+                if (await db.recordPayment(transferFromLog(log, ev), 'reconcile')) {
+                    added++;
+                }
+            }
+
+            await db.setState('reconcile_block', toBlock);
+            fromBlock = toBlock + 1;
+        }
+
+        await db.setState('reconcile_at', new Date().toISOString());
+        if (added > 0) {
+            console.log(`🧾 Reconciliation added ${added} treasury transfers to the ledger`);
+        }
+        return { added, scannedTo: latest };
+    } finally {
+        reconcileRunning = false;
+    }
+}
+
+async function getReconciliationReport() {
+    const graceCutoff = new Date(Date.now() - RECONCILE_GRACE_MS);
+    const [row, unconsumed, lastBlock, lastRun] = await Promise.all([
+        db.getPaymentTotals(),
+        db.listUnconsumedPayments(graceCutoff),
+        db.getState('reconcile_block'),
+        db.getState('reconcile_at')
+    ]);
+
+    return {
+        treasuryAddress: TREASURY_ADDRESS,
+        tokenAddress: DEGEN_CONTRACT,
+        scannedToBlock: lastBlock !== null ? parseInt(lastBlock, 10) : null,
+        lastRunAt: lastRun,
+        payments: row.payments,
+        consumed: row.consumed,
+        totalAmount: ethers.formatUnits(row.total_amount, 18),
+        consumedAmount: ethers.formatUnits(row.consumed_amount, 18),
+        // Money reached the treasury but never unlocked a generation
+        unconsumed: unconsumed.map(p => ({
+            txHash: p.tx_hash,
+            logIndex: p.log_index,
+            fromAddress: p.from_address,
+            amount: ethers.formatUnits(p.amount, 18),
+            blockNumber: p.block_number !== null ? Number(p.block_number) : null,
+            source: p.source,
+            quoteNonce: p.quote_nonce,
+            createdAt: p.created_at
+        }))
+    };
+}
+
+// Admin endpoints take the static ADMIN_TOKEN or the session of one of the ADMIN_FIDS.
+// req.admin names who is acting, for the audit log.
+function requireAdmin(req, res, next) {
+    const header = req.get('authorization') || '';
+    if (ADMIN_TOKEN && isAdminToken(header)) {
+        req.admin = 'token';
+        return next();
+    }
+    const user = header.startsWith('Bearer ') ? auth.verifyToken(header.slice(7)) : null;
+    if (user?.fid !== null && user?.fid !== undefined && ADMIN_FIDS.includes(user.fid)) {
+        req.admin = user.id;
+        return next();
+    }
+    return res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Constant-time check of an Authorization header against ADMIN_TOKEN
+function isAdminToken(header) {
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    const given = Buffer.from(header);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Issue a payment quote for a paid preset ({ preset, candidates, animation }, PFP by default);
+// paid quotes need a session and are bound to that user
+app.post('/api/payment-quote', auth.optionalUser, async (req, res) => {
+    try {
+        const presetId = req.body?.preset || 'pfp';
+        const preset = presets.get(presetId);
+        if (!preset) {
+            return res.status(400).json({ error: 'Unknown preset', detail: `preset must be one of: ${presets.list().map(p => p.id).join(', ')}` });
+        }
+        if (!presetPrice(preset)) {
+            return res.json({ requiresPayment: false });
+        }
+        if (!req.user) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'Sign in required', detail: 'Payment quotes are bound to the signed-in user' });
+        }
+
+        // Several candidates, or an animation, are paid for up front
+        const requested = requestedCandidates(req);
+        const count = req.body?.animation === true ? ANIMATION_QUOTA_COST : Math.min(requested, CANDIDATES_MAX_PAID);
+        const quote = await createPaymentQuote(req.user, generationsPrice(preset, count));
+        console.log(`💰 Issued payment quote ${quote.nonce} for ${quote.amount} DEGEN to ${req.user.id}`);
+        res.json({ requiresPayment: true, quote: formatPaymentQuote(quote) });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Payment quote error:', err);
+        res.status(500).json({ error: 'Failed to create payment quote' });
+    }
+});
+
+// Payment verification endpoint; checks a transfer from the signed-in address
+app.post('/api/verify-payment', auth.requireUser, async (req, res) => {
+    try {
+        console.log('🔍 Payment verification request:', req.body);
+
+        const { txHash, quoteNonce } = req.body || {};
+        const fromAddress = req.user.address;
+
+        if (!txHash) {
+            console.log('❌ Missing payment parameters');
+            return res.status(400).json({ valid: false, error: 'Missing parameters' });
         }
 
-        // Share to X (Twitter)
-        function shareToX(imageId) {
-            const shareUrl = window.location.origin + '/api/share/' + imageId;
-            const text = 'Check out this epic degeneration I created with Degenify! 🎩 🔥 \\nCreate yours on ' + window.location.origin + '\\n\\n$DEGEN @degentokenbase';
-            const twitterUrl = 'https://twitter.com/intent/tweet?text=' + encodeURIComponent(text) + '&url=' + encodeURIComponent(shareUrl);
-            window.open(twitterUrl, '_blank');
-            closeShareModal();
+        // The required amount always comes from the server, never from the client
+        let amount = DEGEN_COST;
+        if (quoteNonce) {
+            const quote = await db.getPaymentQuote(quoteNonce);
+            if (!quote) {
+                return res.status(404).json({ valid: false, error: 'Unknown payment quote' });
+            }
+            if (quote.user_id !== req.user.id) {
+                return res.status(403).json({ valid: false, error: 'Payment quote belongs to another user' });
+            }
+            amount = quote.amount;
         }
 
-        // Share to Farcaster
-        function shareToFarcaster(imageId) {
-            const shareUrl = window.location.origin + '/api/share/' + imageId;
-            const text = 'Check out this epic degeneration I created with Degenify! 🎩 🔥 \\nCreate yours on degenify[dot]xyz\\n\\n$DEGEN \\n/degen \\n\\n' + shareUrl;
-            const farcasterUrl = 'https://farcaster.xyz/~/compose?text=' + encodeURIComponent(text);
-            window.open(farcasterUrl, '_blank');
-            closeShareModal();
+        console.log(`🔍 Verifying transaction: ${txHash} from ${fromAddress} for ${amount} DEGEN`);
+
+        const verification = await verifyDegenTransfer({ txHash, fromAddress, amount });
+        if (!verification.valid) {
+            return res.status(200).json({ valid: false, error: verification.error });
         }
 
-        // Download image function
-        function downloadImage(imageId) {
-            fetch('/api/download/' + imageId)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error('Download failed');
-                    }
-                    return response.blob();
-                })
-                .then(blob => {
-                    const url = window.URL.createObjectURL(blob);
-                    const link = document.createElement('a');
-                    link.href = url;
-                    link.download = 'meme-' + imageId + '.png';
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    window.URL.revokeObjectURL(url);
-                })
-                .catch(error => {
-                    console.error('Download error:', error);
-                    alert('Download failed: ' + error.message);
-                });
+        // A transfer that already paid for an image is no longer valid
+        const { transfer } = verification;
+        const existing = await db.getPayment(transfer.txHash, transfer.logIndex);
+        if (existing?.consumed_at) {
+            console.log('❌ Payment already used');
+            return res.status(200).json({ valid: false, error: 'Payment already used', imageId: existing.image_id });
+        }
+        if (!existing) {
+            await db.recordPayment(transfer, 'verify');
         }
-    </script>
-</body>
-</html>`;
 
-        res.setHeader('Content-Type', 'text/html');
-        res.send(html);
+        console.log('✅ Payment verified successfully!');
+        res.status(200).json({ valid: true, amount: ethers.formatUnits(verification.paid, 18) });
+
     } catch (err) {
-        console.error('Database error:', err);
-        res.status(500).send('Server error');
+        console.error('Payment verification error:', err);
+        res.status(500).json({ valid: false, error: err.message });
     }
 });
 
-// API endpoint to download a specific image
-app.get('/api/download/:id', async (req, res) => {
+// Tips: DEGEN sent straight to an image's creator, checked like payments. With a platform
+// fee the tipper sends the treasury's share as a second transfer (or in the same transaction).
+function formatTipTotal(total) {
+    return { count: total?.count || 0, amount: ethers.formatUnits(total?.amount || 0n, 18) };
+}
+
+// The treasury's share for a tip that gave the creator `amount` wei
+function tipFee(amount) {
+    return amount * TIP_FEE_BPS / (10000n - TIP_FEE_BPS);
+}
+
+function formatTip(row) {
+    return {
+        txHash: row.tx_hash,
+        fromAddress: row.from_address,
+        toAddress: row.to_address,
+        amount: ethers.formatUnits(row.amount, 18),
+        fee: ethers.formatUnits(row.fee_amount, 18)
+    };
+}
+
+// Where and how to tip an image's creator, and the tips so far
+app.get('/api/images/:id/tips', async (req, res) => {
     try {
-        const imageId = req.params.id;
-        const result = await pool.query('SELECT * FROM images WHERE id = $1', [imageId]);
+        const image = await db.getImage(req.params.id);
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        const total = (await db.getTipTotals([image.id]))[image.id];
+        res.json({
+            enabled: Boolean(image.creator_address),
+            creatorAddress: image.creator_address || null,
+            tokenAddress: DEGEN_CONTRACT,
+            chainId: BASE_CHAIN_ID.toString(),
+            minAmount: TIP_MIN_AMOUNT,
+            feePercent: TIP_FEE_PERCENT,
+            feeBps: TIP_FEE_BPS.toString(),
+            treasuryAddress: TIP_FEE_BPS > 0n ? TREASURY_ADDRESS : null,
+            ...formatTipTotal(total)
+        });
+    } catch (err) {
+        console.error('Tip info error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        if (result.rows.length === 0) {
+// A tip intent: the exact amount to send the creator for a tip of about `amount` DEGEN (fee
+// included) on this image. The amount carries random dust below a millionth of a DEGEN, so a
+// transfer only ever matches the intent it was sent for and cannot be claimed for another image.
+app.post('/api/images/:id/tip-intents', async (req, res) => {
+    try {
+        const amount = req.body?.amount;
+        if (typeof amount !== 'string' || !/^\d+(\.\d{1,18})?$/.test(amount)) {
+            return res.status(400).json({ error: 'Invalid amount', detail: 'amount must be a DEGEN amount like "100"' });
+        }
+        const image = await db.getImage(req.params.id);
+        if (!isPublished(image)) {
             return res.status(404).json({ error: 'Image not found' });
         }
+        if (!image.creator_address) {
+            return res.status(400).json({ error: 'This creator cannot be tipped', detail: 'The image has no creator wallet on record' });
+        }
+
+        const dust = BigInt(crypto.randomInt(1, 1_000_000_000_000));
+        const tipAmount = ethers.parseUnits(amount, 18) * (10000n - TIP_FEE_BPS) / 10000n + dust;
+        if (tipAmount < ethers.parseUnits(TIP_MIN_AMOUNT, 18)) {
+            return res.status(400).json({ error: 'Tip too small', detail: `The creator's share must be at least ${TIP_MIN_AMOUNT} DEGEN` });
+        }
+        const fee = tipFee(tipAmount);
+        const { token, expiresAt } = auth.issueGrant('tip', { imageId: String(image.id), amount: tipAmount.toString() }, TIP_INTENT_TTL_MS);
+        res.status(201).json({
+            intent: token,
+            creatorAddress: image.creator_address,
+            amount: ethers.formatUnits(tipAmount, 18),
+            amountWei: tipAmount.toString(),
+            treasuryAddress: fee > 0n ? TREASURY_ADDRESS : null,
+            fee: ethers.formatUnits(fee, 18),
+            feeWei: fee.toString(),
+            tokenAddress: DEGEN_CONTRACT,
+            chainId: BASE_CHAIN_ID.toString(),
+            expiresAt: expiresAt.toISOString()
+        });
+    } catch (err) {
+        console.error('Tip intent error:', err);
+        res.status(500).json({ error: 'Failed to create tip intent' });
+    }
+});
 
-        const image = result.rows[0];
+// Record a tip once its transfer to the creator (and the platform fee, if any) is confirmed.
+// The tipper is whoever sent the transfer. It counts as a tip on this image when it matches a
+// tip intent for the image (`intent`), or when it was sent from the signed-in address.
+app.post('/api/images/:id/tips', auth.optionalUser, async (req, res) => {
+    try {
+        const { txHash, feeTxHash, intent } = req.body || {};
+        const isHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+        if (!isHash(txHash) || (feeTxHash !== undefined && !isHash(feeTxHash))) {
+            return res.status(400).json({ error: 'txHash required', detail: 'Send the tip transaction hash, and feeTxHash for a separate fee transfer' });
+        }
+        if (intent === undefined && !req.user) {
+            return res.status(400).json({ error: 'Tip intent required', detail: 'Get one from /api/images/:id/tip-intents before sending the tip, or sign in and tip from that address' });
+        }
+        const image = await db.getImage(req.params.id);
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        const creatorAddress = image.creator_address;
+        if (!creatorAddress) {
+            return res.status(400).json({ error: 'This creator cannot be tipped', detail: 'The image has no creator wallet on record' });
+        }
 
-        // Fetch the image from Cloudinary and serve it directly with download headers
-        const response = await fetch(image.cloudinary_url);
-        if (!response.ok) {
-            return res.status(404).json({ error: 'Image not found on Cloudinary' });
+        let verification;
+        if (intent !== undefined) {
+            const granted = auth.verifyGrant('tip', intent);
+            if (!granted || granted.imageId !== String(image.id)) {
+                return res.status(400).json({ error: 'Invalid tip intent', detail: 'It is for another image or has expired; get a new one and tip again' });
+            }
+            console.log(`🔍 Verifying tip for ${image.id} in ${txHash} against its intent`);
+            verification = await verifyDegenTransfer({
+                txHash, fromAddress: null, amount: ethers.formatUnits(BigInt(granted.amount), 18), exact: true, to: creatorAddress, waitMs: PAYMENT_CONFIRM_TIMEOUT_MS
+            });
+        } else {
+            console.log(`🔍 Verifying tip for ${image.id} in ${txHash} from ${req.user.address}`);
+            verification = await verifyDegenTransfer({
+                txHash, fromAddress: req.user.address, amount: TIP_MIN_AMOUNT, to: creatorAddress, waitMs: PAYMENT_CONFIRM_TIMEOUT_MS
+            });
+        }
+        if (!verification.valid) {
+            return res.status(400).json({ error: 'Tip not verified', detail: verification.error });
+        }
+        const { transfer } = verification;
+        const fromAddress = transfer.fromAddress;
+        if (fromAddress === creatorAddress) {
+            return res.status(400).json({ error: 'You cannot tip yourself' });
+        }
+        const existing = await db.getTip(transfer.txHash, transfer.logIndex);
+        if (existing) {
+            if (existing.image_id !== String(image.id)) {
+                return res.status(409).json({ error: 'Tip already recorded for another image' });
+            }
+            return res.json({ tip: formatTip(existing), ...formatTipTotal((await db.getTipTotals([image.id]))[image.id]) });
         }
 
-        // Set headers for direct download
-        res.setHeader('Content-Type', 'image/png');
-        res.setHeader('Content-Disposition', `attachment; filename="meme-${imageId}.png"`);
-        res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
+        // The fee transfer goes into the treasury ledger, reserved for this request alone (a null
+        // nonce would let a concurrent request reserve it too) and consumed once the tip is recorded
+        let feePayment = null;
+        const fee = tipFee(transfer.amount);
+        if (fee > 0n) {
+            const feeVerification = await verifyDegenTransfer({
+                txHash: feeTxHash || txHash, fromAddress, amount: ethers.formatUnits(fee, 18), waitMs: PAYMENT_CONFIRM_TIMEOUT_MS
+            });
+            if (!feeVerification.valid) {
+                return res.status(400).json({ error: 'Platform fee not verified', detail: `${TIP_FEE_PERCENT}% of the tip goes to the treasury: ${feeVerification.error}` });
+            }
+            const reservation = `tip:${ethers.hexlify(ethers.randomBytes(16)).slice(2)}`;
+            feePayment = await db.reservePayment(feeVerification.transfer, reservation, 'tip');
+            if (!feePayment) {
+                return res.status(409).json({ error: 'Fee payment already used' });
+            }
+        }
+        const releaseFee = () => feePayment && db.releasePayment(feePayment).catch(err => console.error('Failed to release fee payment:', err));
+
+        let tip;
+        try {
+            tip = await db.recordTip({ transfer, imageId: image.id, toAddress: creatorAddress, feeAmount: feePayment ? BigInt(feePayment.amount) : 0n });
+        } catch (err) {
+            await releaseFee();
+            throw err;
+        }
+        if (!tip) {
+            // A concurrent request recorded it first
+            await releaseFee();
+            const recorded = await db.getTip(transfer.txHash, transfer.logIndex);
+            return res.json({ tip: formatTip(recorded), ...formatTipTotal((await db.getTipTotals([image.id]))[image.id]) });
+        }
+        if (feePayment) await db.consumePayment(feePayment, image.id);
 
-        // Stream the image data directly to the response
-        const buffer = Buffer.from(await response.arrayBuffer());
-        res.send(buffer);
+        console.log(`💸 ${tip.from_address} tipped ${ethers.formatUnits(tip.amount, 18)} DEGEN on ${image.id}`);
+        res.status(201).json({ tip: formatTip(tip), ...formatTipTotal((await db.getTipTotals([image.id]))[image.id]) });
     } catch (err) {
-        console.error('Download error:', err);
-        res.status(500).json({ error: 'Download failed' });
+        console.error('Tip verification error:', err);
+        res.status(500).json({ error: 'Tip verification failed', detail: err.message });
     }
 });
 
-// Check if PFP generation requires payment
-app.get('/api/pfp-payment-status', (req, res) => {
-    res.json({
-        requiresPayment: PFP_PAID,
-        treasuryAddress: TREASURY_ADDRESS,
-        degenCost: DEGEN_COST
-    });
-});
+// NFTs: metadata for minted images, and mints checked against their transaction receipts
+function nftTokenUri(imageId) {
+    return `${NFT_BASE_URL}/api/nft/${encodeURIComponent(imageId)}`;
+}
 
-// Payment verification endpoint
-app.post('/api/verify-payment', async (req, res) => {
-    try {
-        console.log('🔍 Payment verification request:', req.body);
+function formatMint(row) {
+    return {
+        contractAddress: row.contract_address,
+        tokenId: String(row.token_id),
+        minterAddress: row.minter_address,
+        txHash: row.tx_hash
+    };
+}
 
-        const { txHash, fromAddress, expectedAmount } = req.body || {};
+// Verify that `txHash` minted a token of the collection whose URI is `tokenUri`
+async function verifyNftMint({ txHash, tokenUri, waitMs = 0 }) {
+    const tx = await getReceipt(txHash, waitMs);
+    if (!tx || tx.status !== 1) {
+        return { valid: false, error: 'Transaction not confirmed or failed' };
+    }
 
-        if (!txHash || !fromAddress || !expectedAmount) {
-            console.log('❌ Missing payment parameters');
-            return res.status(400).json({ valid: false, error: 'Missing parameters' });
+    const network = await provider.getNetwork();
+    if (network.chainId !== BASE_CHAIN_ID) {
+        return { valid: false, error: 'Transaction not on Base network' };
+    }
+
+    // Transfers from the zero address are mints; ERC-20 Transfer logs do not parse as ERC-721 ones
+    const minted = tx.logs
+        .filter(l => (l.address || '').toLowerCase() === NFT_CONTRACT)
+        .map(l => {
+            try {
+                const ev = NFT_IFACE.parseLog(l);
+                return ev?.name === 'Transfer' && ev.args.from === ethers.ZeroAddress ? { ev, log: l } : null;
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    for (const { ev, log } of minted) {
+        const uri = await nftCollection.tokenURI(ev.args.tokenId);
+        console.log(`🔍 Minted token ${ev.args.tokenId} with URI ${uri}`);
+        if (uri === tokenUri) {
+            return {
+                valid: true,
+                mint: {
+                    tokenId: ev.args.tokenId,
+                    minterAddress: ev.args.to.toLowerCase(),
+                    txHash: log.transactionHash.toLowerCase(),
+                    blockNumber: log.blockNumber
+                }
+            };
+        }
+    }
+    return { valid: false, error: 'No mint of this image found in the transaction' };
+}
+
+// ERC-721 / ERC-1155 token metadata for a published image
+app.get('/api/nft/:id', async (req, res) => {
+    try {
+        const image = await db.getImage(req.params.id);
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
         }
+        if (!nftCollection) {
+            return res.status(404).json({ error: 'NFT minting is not enabled' });
+        }
+        const origin = NFT_BASE_URL;
+        const absolute = (url) => (url.startsWith('/') ? `${origin}${url}` : url);
+        const creator = imageCreator(image);
+        const animation = videoUrl(image);
+        const attributes = [
+            { trait_type: 'Mode', value: image.mode || 'classic' },
+            { trait_type: 'Creator', value: creatorLabel(creator) },
+            { trait_type: 'Animated', value: image.content_type === 'image/gif' ? 'Yes' : 'No' },
+            { trait_type: 'Remix', value: image.parent_id ? 'Yes' : 'No' },
+            { display_type: 'date', trait_type: 'Created', value: Math.floor(new Date(image.timestamp).getTime() / 1000) }
+        ];
+
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.json({
+            name: `Degeneration: ${image.prompt.length > 60 ? `${image.prompt.slice(0, 59)}…` : image.prompt}`,
+            description: `${image.prompt}\n\nDegenerated with Degenify${creator ? ` by ${creatorLabel(creator)}` : ''} 🎩`,
+            image: absolute(storage.url(imageRef(image)) || `/api/image/${image.id}`),
+            ...(animation ? { animation_url: absolute(animation) } : {}),
+            external_url: `${origin}/api/share/${encodeURIComponent(image.id)}`,
+            prompt: image.prompt,
+            creator,
+            attributes,
+            // ERC-1155 wallets read properties rather than attributes
+            properties: { prompt: image.prompt, mode: image.mode || null, creator, parentId: image.parent_id || null }
+        });
+    } catch (err) {
+        console.error('NFT metadata error:', err);
+        res.status(500).json({ error: 'Failed to build NFT metadata' });
+    }
+});
 
-        console.log(`🔍 Verifying transaction: ${txHash} from ${fromAddress} for ${expectedAmount} DEGEN`);
+// What the wallet needs to mint an image: the contract, chain, token URI and call data
+app.get('/api/nft/:id/mint', async (req, res) => {
+    try {
+        const image = await db.getImage(req.params.id);
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (!nftCollection) {
+            return res.json({ enabled: false });
+        }
+        const minted = await db.getMint(NFT_CONTRACT, image.id);
+        const tokenUri = nftTokenUri(image.id);
+        res.json({
+            enabled: true,
+            contractAddress: NFT_CONTRACT,
+            chainId: BASE_CHAIN_ID.toString(),
+            tokenUri,
+            data: NFT_IFACE.encodeFunctionData('mint', [tokenUri]),
+            minted: minted ? formatMint(minted) : null
+        });
+    } catch (err) {
+        console.error('NFT mint info error:', err);
+        res.status(500).json({ error: 'Failed to prepare mint' });
+    }
+});
 
-        // Get transaction receipt
-        const tx = await provider.getTransactionReceipt(txHash);
-        if (!tx || tx.status !== 1) {
-            console.log('❌ Transaction not confirmed or failed');
-            return res.status(200).json({ valid: false, error: 'Transaction not confirmed or failed' });
+// Record a mint once its transaction is confirmed
+app.post('/api/nft/:id/mint', async (req, res) => {
+    try {
+        const { txHash } = req.body || {};
+        if (typeof txHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+            return res.status(400).json({ error: 'txHash required', detail: 'Send the mint transaction hash' });
+        }
+        const image = await db.getImage(req.params.id);
+        if (!isPublished(image)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (!nftCollection) {
+            return res.status(503).json({ error: 'NFT minting is not enabled' });
+        }
+        const existing = await db.getMint(NFT_CONTRACT, image.id);
+        if (existing?.tx_hash === txHash.toLowerCase()) {
+            return res.json(formatMint(existing));
+        }
+        if (existing) {
+            return res.status(409).json({ error: 'Image already minted', detail: `Token ${existing.token_id}`, mint: formatMint(existing) });
         }
 
-        console.log('✅ Transaction confirmed, checking logs...');
+        console.log(`🔍 Verifying mint of ${image.id} in ${txHash}`);
+        const verification = await verifyNftMint({ txHash, tokenUri: nftTokenUri(image.id), waitMs: PAYMENT_CONFIRM_TIMEOUT_MS });
+        if (!verification.valid) {
+            console.log(`❌ Mint not verified: ${verification.error}`);
+            return res.status(400).json({ error: 'Mint not verified', detail: verification.error });
+        }
 
-        // Check if transaction is on Base (chainId 8453)
-        if (tx.chainId !== 8453n) {
-            console.log('❌ Transaction not on Base network');
-            return res.status(200).json({ valid: false, error: 'Transaction not on Base network' });
+        const row = await db.recordMint({ contractAddress: NFT_CONTRACT, imageId: image.id, ...verification.mint });
+        if (!row) {
+            // Recorded by a concurrent request, or the token was recorded for another image
+            const recorded = await db.getMint(NFT_CONTRACT, image.id);
+            if (recorded?.tx_hash === verification.mint.txHash) return res.json(formatMint(recorded));
+            return res.status(409).json({ error: 'Mint already recorded' });
         }
+        console.log(`🪙 Image ${image.id} minted as token ${row.token_id} by ${row.minter_address}`);
+        res.status(201).json(formatMint(row));
+    } catch (err) {
+        console.error('NFT mint verification error:', err);
+        res.status(500).json({ error: 'Mint verification failed', detail: err.message });
+    }
+});
 
-        // Find DEGEN Transfer events in transaction logs
-        const logs = tx.logs
-            .filter(l => (l.address || "").toLowerCase() === DEGEN_CONTRACT)
-            .map(l => {
-                try {
-                    return ERC20_IFACE.parseLog(l);
-                } catch (e) {
-                    console.log('Failed to parse log:', e.message);
-                    return null;
-                }
-            })
-            .filter(Boolean);
+// Treasury reconciliation report
+app.get('/api/admin/reconciliation', requireAdmin, async (req, res) => {
+    try {
+        res.json(await getReconciliationReport());
+    } catch (err) {
+        console.error('Reconciliation report error:', err);
+        res.status(500).json({ error: 'Failed to build reconciliation report' });
+    }
+});
+
+// Run a reconciliation scan now instead of waiting for the interval
+app.post('/api/admin/reconciliation/run', requireAdmin, async (req, res) => {
+    try {
+        const scan = await reconcileTreasury();
+        res.json({ scan, report: await getReconciliationReport() });
+    } catch (err) {
+        console.error('Reconciliation error:', err);
+        res.status(500).json({ error: 'Reconciliation failed', detail: err.message });
+    }
+});
+
+// Admin: moderation, curation, reports and bans. Every change is written to the audit log.
+const MODERATION_STATUSES = ['visible', 'pending', 'hidden'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+function adminImage(row, openReports = 0) {
+    return {
+        ...galleryImage(row),
+        fileUrl: `/api/admin/images/${row.id}/file`,
+        moderation: { status: row.moderation_status, reason: row.moderation_reason },
+        creatorAddress: row.creator_address || null,
+        featuredAt: row.featured_at,
+        pinnedAt: row.pinned_at,
+        openReports
+    };
+}
+
+function audit(req, action, targetType, targetId, detail = null) {
+    return db.addAuditEntry({ admin: req.admin, action, targetType, targetId, detail });
+}
 
-        console.log(`🔍 Found ${logs.length} DEGEN Transfer events`);
+// Ban subjects are "fid:<n>" or "wallet:<address>", like session user ids
+function parseBanSubject({ subject, fid, address }) {
+    if (fid !== undefined && fid !== null) return /^\d+$/.test(String(fid)) ? `fid:${Number(fid)}` : null;
+    if (address) return ethers.isAddress(address) ? `wallet:${address.toLowerCase()}` : null;
+    if (typeof subject === 'string') {
+        const match = /^(fid:\d+|wallet:0x[0-9a-fA-F]{40})$/.exec(subject);
+        return match ? subject.toLowerCase() : null;
+    }
+    return null;
+}
 
-        // Look for Transfer to our treasury from the specified address
-        const match = logs.find((ev) => {
-            if (ev?.name !== 'Transfer') return false;
+// Images by moderation status, newest first, with their open report counts
+app.get('/api/admin/images', requireAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!MODERATION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status', detail: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+        }
+        const filters = parseGalleryQuery({ ...req.query, status: undefined, sort: undefined, window: undefined });
+        const rows = await db.listImages({ ...filters, moderationStatus: status, limit: filters.limit + 1 });
+        const page = rows.slice(0, filters.limit);
+        const images = await Promise.all(page.map(async row => adminImage(row, await db.countOpenReports(row.id))));
+        res.json({
+            status,
+            images,
+            nextCursor: rows.length > filters.limit ? encodeGalleryCursor(page[page.length - 1]) : null
+        });
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ error: err.message, detail: err.detail });
+        }
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-            const to = ev.args?.to?.toLowerCase();
-            const from = ev.args?.from?.toLowerCase();
+// The stored file whatever its moderation status, for reviewing hidden and pending images
+app.get('/api/admin/images/:id/file', requireAdmin, async (req, res) => {
+    try {
+        const image = await db.getImage(req.params.id);
+        const file = image ? await storage.read(imageRef(image)) : null;
+        if (!file) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        res.setHeader('Content-Type', imageContentType(image) || file.contentType || 'image/png');
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(file.data);
+    } catch (err) {
+        console.error('Admin image error:', err);
+        res.status(500).json({ error: 'Failed to read image' });
+    }
+});
 
-            console.log(`🔍 Checking Transfer: from ${from} to ${to}`);
-            console.log(`🔍 Expected: from ${fromAddress.toLowerCase()} to ${TREASURY_ADDRESS}`);
+// Hide, approve or unhide an image, and feature or pin it
+app.patch('/api/admin/images/:id', requireAdmin, async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        const { status, reason, featured, pinned } = req.body || {};
+        if (status !== undefined && !MODERATION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status', detail: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+        }
+        for (const [name, value] of [['featured', featured], ['pinned', pinned]]) {
+            if (value !== undefined && typeof value !== 'boolean') {
+                return res.status(400).json({ error: `Invalid ${name}`, detail: `${name} must be true or false` });
+            }
+        }
+        const before = await db.getImage(imageId);
+        if (!before) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
 
-            return to === TREASURY_ADDRESS && from === fromAddress.toLowerCase();
+        const image = await db.updateImage(imageId, {
+            moderationStatus: status,
+            moderationReason: status === undefined ? undefined : (reason || null),
+            featured,
+            pinned
         });
+        if (status !== undefined && status !== before.moderation_status) {
+            await audit(req, 'set_status', 'image', imageId, { from: before.moderation_status, to: status, reason: reason || null });
+            // Acting on an image settles the reports about it
+            if (status === 'hidden') await db.resolveImageReports(imageId, { status: 'resolved', resolvedBy: req.admin });
+            if (status === 'visible') await db.resolveImageReports(imageId, { status: 'dismissed', resolvedBy: req.admin });
+        }
+        if (featured !== undefined && featured !== Boolean(before.featured_at)) {
+            await audit(req, featured ? 'feature' : 'unfeature', 'image', imageId);
+        }
+        if (pinned !== undefined && pinned !== Boolean(before.pinned_at)) {
+            await audit(req, pinned ? 'pin' : 'unpin', 'image', imageId);
+        }
+        console.log(`🛡️ ${req.admin} updated image ${imageId}`);
+        res.json(adminImage(image, await db.countOpenReports(imageId)));
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Delete an image from storage and the database
+app.delete('/api/admin/images/:id', requireAdmin, async (req, res) => {
+    try {
+        const imageId = req.params.id;
+        const image = await db.getImage(imageId);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        // Storage first: a row without a file can be retried, a file without a row would be orphaned
+        const ref = originalImageRef(image);
+        try {
+            if (image.caption_storage_key) await storage.remove(imageRef(image));
+            if (videoRef(image)) await storage.remove(videoRef(image));
+            await storage.remove(ref);
+        } catch (err) {
+            console.error(`Failed to remove ${ref.driver} file ${ref.key}:`, err);
+            return res.status(502).json({ error: 'Failed to delete image from storage', detail: err.message });
+        }
+        await db.deleteImage(imageId);
+        await audit(req, 'delete', 'image', imageId, { prompt: image.prompt, storage: ref.driver, key: ref.key, creatorFid: image.creator_fid ?? null });
+        console.log(`🗑️ ${req.admin} deleted image ${imageId}`);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        if (!match) {
-            console.log('❌ No matching DEGEN Transfer found');
-            return res.status(200).json({ valid: false, error: 'No matching DEGEN Transfer found' });
+// Report queue, oldest first, with the reported image
+app.get('/api/admin/reports', requireAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        if (!REPORT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status', detail: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+        }
+        const offset = req.query.cursor ? decodeOffsetCursor(String(req.query.cursor)) : 0;
+        if (offset === null) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        const rows = await db.listReports({ status, limit: ADMIN_PAGE_LIMIT + 1, offset });
+        const page = rows.slice(0, ADMIN_PAGE_LIMIT);
+        const images = new Map();
+        for (const report of page) {
+            if (!images.has(report.image_id)) {
+                const image = await db.getImage(report.image_id);
+                images.set(report.image_id, image ? adminImage(image, await db.countOpenReports(image.id)) : null);
+            }
         }
+        res.json({
+            status,
+            reports: page.map(report => ({
+                id: report.id,
+                reason: report.reason,
+                note: report.note,
+                reporter: report.reporter,
+                status: report.status,
+                createdAt: report.created_at,
+                resolvedAt: report.resolved_at,
+                resolvedBy: report.resolved_by,
+                image: images.get(report.image_id)
+            })),
+            nextCursor: rows.length > ADMIN_PAGE_LIMIT ? encodeOffsetCursor(offset + page.length) : null
+        });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        // Check amount
-        const paid = match.args.value;
-        const required = ethers.parseUnits(expectedAmount, 18);
+// Resolve or dismiss a report
+app.patch('/api/admin/reports/:id', requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.body || {};
+        if (!['resolved', 'dismissed'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status', detail: 'status must be resolved or dismissed' });
+        }
+        const id = Number(req.params.id);
+        const report = Number.isInteger(id) ? await db.updateReport(id, { status, resolvedBy: req.admin }) : null;
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        await audit(req, status === 'resolved' ? 'resolve_report' : 'dismiss_report', 'report', id, { imageId: report.image_id });
+        res.json({ id, status: report.status, resolvedAt: report.resolved_at, resolvedBy: report.resolved_by });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        console.log(`🔍 Paid: ${paid.toString()}, Required: ${required.toString()}`);
+app.get('/api/admin/bans', requireAdmin, async (req, res) => {
+    try {
+        const bans = await db.listBans();
+        res.json({ bans: bans.map(ban => ({ subject: ban.subject, reason: ban.reason, createdBy: ban.created_by, createdAt: ban.created_at })) });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        if (paid < required) {
-            console.log('❌ Insufficient payment amount');
-            return res.status(200).json({ valid: false, error: 'Insufficient payment amount' });
+// Ban a FID or wallet: { fid } | { address } | { subject }, optional reason, and hideImages
+// to also take everything they made out of the gallery
+app.post('/api/admin/bans', requireAdmin, async (req, res) => {
+    try {
+        const subject = parseBanSubject(req.body || {});
+        if (!subject) {
+            return res.status(400).json({ error: 'Invalid ban subject', detail: 'Send a fid, an address, or a subject like fid:123 or wallet:0x…' });
+        }
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() || null : null;
+        const ban = await db.createBan({ subject, reason, createdBy: req.admin });
+        let hiddenImages = 0;
+        if (req.body.hideImages === true) {
+            const [kind, value] = subject.split(':');
+            hiddenImages = await db.hideImagesByCreator({
+                fid: kind === 'fid' ? Number(value) : null,
+                address: kind === 'wallet' ? value : null,
+                reason: 'banned'
+            });
         }
+        await audit(req, 'ban', 'user', subject, { reason, hiddenImages });
+        console.log(`⛔ ${req.admin} banned ${subject}${hiddenImages ? ` and hid ${hiddenImages} images` : ''}`);
+        res.status(201).json({ subject: ban.subject, reason: ban.reason, createdBy: ban.created_by, createdAt: ban.created_at, hiddenImages });
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-        console.log('✅ Payment verified successfully!');
-        res.status(200).json({ valid: true, amount: ethers.formatUnits(paid, 18) });
+app.delete('/api/admin/bans/:subject', requireAdmin, async (req, res) => {
+    try {
+        const subject = parseBanSubject({ subject: req.params.subject });
+        if (!subject || !(await db.deleteBan(subject))) {
+            return res.status(404).json({ error: 'Ban not found' });
+        }
+        await audit(req, 'unban', 'user', subject);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
+// Audit log, newest first; page back with ?before=<id>
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+    try {
+        const before = req.query.before !== undefined ? Number(req.query.before) : null;
+        if (before !== null && !Number.isInteger(before)) {
+            return res.status(400).json({ error: 'Invalid before', detail: 'before must be an audit entry id' });
+        }
+        const rows = await db.listAuditLog({ limit: ADMIN_PAGE_LIMIT, before });
+        res.json({
+            entries: rows.map(row => ({
+                id: row.id,
+                admin: row.admin,
+                action: row.action,
+                targetType: row.target_type,
+                targetId: row.target_id,
+                detail: row.detail,
+                createdAt: row.created_at
+            })),
+            nextBefore: rows.length === ADMIN_PAGE_LIMIT ? rows[rows.length - 1].id : null
+        });
     } catch (err) {
-        console.error('Payment verification error:', err);
-        res.status(500).json({ valid: false, error: err.message });
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Database error' });
     }
 });
 
+// Admin page (the API calls it makes need ADMIN_TOKEN or an admin session)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+if (RECONCILE_INTERVAL_MS > 0) {
+    setInterval(() => {
+        reconcileTreasury().catch(err => console.error('Reconciliation error:', err));
+    }, RECONCILE_INTERVAL_MS).unref();
+}
+
 app.listen(PORT, () => console.log('Server on http://localhost:' + PORT));